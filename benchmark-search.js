@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Measures search latency on the full datasets
+ * Usage: node benchmark-search.js [iterations]
+ * Uses live data, or the snapshots with AHAAN_THAI_OFFLINE=1.
+ */
+
+import { performance } from 'perf_hooks';
+import * as bookInfo from './src/lib/book-info-logic.js';
+import * as dictionary from './src/lib/dictionary-logic.js';
+import * as encyclopedia from './src/lib/encyclopedia-logic.js';
+import * as library from './src/lib/library-logic.js';
+
+const iterations = Number(process.argv[2] || 200);
+
+// Exact, partial, other romanization, typo, Thai script and one-letter queries
+const benchmarks = [
+  {
+    dataset: 'dictionary',
+    load: dictionary.fetchDictionary,
+    search: (query) => dictionary.searchDictionary(query),
+    queries: ['pad thai', 'kaeng', 'phad thai', 'curyy', 'น้ำปลา', 'k'],
+  },
+  {
+    dataset: 'books',
+    load: bookInfo.fetchBooks,
+    search: (query) => bookInfo.searchBooks({ query }),
+    queries: ['thai', 'kochbuch', 'david thompson', 'thomson', 'k'],
+  },
+  {
+    dataset: 'library',
+    load: library.fetchLibrary,
+    search: (query) => library.searchRecipes({ query }),
+    queries: ['som tam', 'papaya', 'kao soy', 'khao', 'k'],
+  },
+  {
+    dataset: 'encyclopedia',
+    load: encyclopedia.fetchEncyclopedia,
+    search: (query) => encyclopedia.searchEntries(query),
+    queries: ['curry', 'tom yam', 'tom jam', 'isaan', 'แกง', 'k'],
+  },
+];
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+const round = (ms) => Math.round(ms * 1000) / 1000;
+
+for (const { dataset, load, search, queries } of benchmarks) {
+  await load();
+
+  // The first search builds the index of the loaded data
+  let start = performance.now();
+  await search(queries[0]);
+  console.log(`\n${dataset}: index built in ${round(performance.now() - start)}ms`);
+
+  const rows = [];
+  for (const query of queries) {
+    const timings = [];
+    let results = 0;
+    for (let i = 0; i < iterations; i++) {
+      start = performance.now();
+      const found = await search(query);
+      timings.push(performance.now() - start);
+      results = Array.isArray(found) ? found.length : found.total_results;
+    }
+
+    timings.sort((a, b) => a - b);
+    rows.push({
+      query,
+      results,
+      'p50 (ms)': round(percentile(timings, 0.5)),
+      'p95 (ms)': round(percentile(timings, 0.95)),
+      'max (ms)': round(timings[timings.length - 1]),
+    });
+  }
+  console.table(rows);
+}
@@ -9,10 +9,23 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { logDebug, logError, logInfo } from "./src/lib/logger.js";
+import { getRecentChanges } from "./src/lib/changes.js";
 import * as bookInfo from "./src/lib/book-info-logic.js";
+import { NotFoundError } from "./src/lib/errors.js";
+import {
+  describeResourceTemplates,
+  getCompletion,
+  getResourceTemplates,
+  readResourceTemplate,
+} from "./src/lib/completions.js";
+import { pageProperties, paginate } from "./src/lib/pagination.js";
 
 // Create server
 logInfo("Initializing Thai Book Info Server");
@@ -24,10 +37,15 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: {},
+      completions: {},
     },
   }
 );
 
+// Resource templates whose arguments are completed: language, author, publisher
+const resourceTemplates = getResourceTemplates([bookInfo.DATASET]);
+
 // List tools handler
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   logDebug("Handling list_tools request");
@@ -38,7 +56,9 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         description: "List all available Thai cookbooks",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            ...pageProperties(),
+          },
           required: [],
         },
       },
@@ -50,7 +70,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             query: {
               type: "string",
-              description: "Search term (searches in author, title, description)",
+              description:
+                "Search term (searches in author, title, description) or query, e.g. author:thompson \"street food\" (fields: title, author, description, lang, level, year, publisher, isbn)",
             },
             language: {
               type: "string",
@@ -74,6 +95,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Filter by publisher",
             },
+            ...pageProperties(),
           },
           required: [],
         },
@@ -86,7 +108,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             isbn: {
               type: "string",
-              description: "ISBN of the book",
+              description: "ISBN-10 or ISBN-13 of the book, with or without hyphens",
             },
           },
           required: ["isbn"],
@@ -102,6 +124,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Author name",
             },
+            ...pageProperties(),
           },
           required: ["author"],
         },
@@ -117,6 +140,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: "Language code (de, en, th)",
               enum: ["de", "en", "th"],
             },
+            ...pageProperties(),
           },
           required: ["language"],
         },
@@ -130,6 +154,40 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: [],
         },
       },
+      {
+        name: "get_data_quality_report",
+        description: "List malformed book records that were quarantined when loading the data",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "get_recent_changes",
+        description: "List books that were added, removed or modified upstream",
+        inputSchema: {
+          type: "object",
+          properties: {
+            since: {
+              type: "string",
+              description: "Only changes detected at or after this ISO date (e.g. 2025-01-31)",
+            },
+            ...pageProperties(),
+          },
+          required: [],
+        },
+      },
+      {
+        name: "refresh_data",
+        description:
+          "Reload the book data from upstream now, bypassing the cache. Returns the record count and content hash",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
     ],
   };
 });
@@ -148,20 +206,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: JSON.stringify(books, null, 2),
+              text: JSON.stringify(paginate("books", books, args), null, 2),
             },
           ],
         };
       }
 
       case "search_books": {
-        const books = await bookInfo.searchBooks(args);
+        const { cursor, limit, ...filters } = args || {};
+        const books = await bookInfo.searchBooks(filters);
         logInfo(`Search completed. Found ${books.length} matching books`);
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(books, null, 2),
+              text: JSON.stringify(paginate("books", books, { cursor, limit }), null, 2),
             },
           ],
         };
@@ -187,7 +246,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: JSON.stringify(books, null, 2),
+              text: JSON.stringify(paginate("books", books, args), null, 2),
             },
           ],
         };
@@ -200,7 +259,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: JSON.stringify(books, null, 2),
+              text: JSON.stringify(paginate("books", books, args), null, 2),
             },
           ],
         };
@@ -219,12 +278,63 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case "get_data_quality_report": {
+        const report = await bookInfo.getDataQualityReport();
+        logInfo(`Data quality report: ${report?.quarantinedRecords ?? 0} quarantined books`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(report, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_recent_changes": {
+        const changes = await getRecentChanges({ since: args?.since, dataset: bookInfo.DATASET });
+        logInfo(`Returning ${changes.length} book change sets`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(paginate("changes", changes, args), null, 2),
+            },
+          ],
+        };
+      }
+
+      case "refresh_data": {
+        const result = await bookInfo.refreshData();
+        logInfo(`Books refreshed: ${result.records} books, hash ${result.contentHash}`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
       default:
         logError(`Unknown tool: ${name}`);
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
     logError(`Error in tool ${name}:`, error.message);
+    // Not found: the closest values, so the call can be retried right away
+    if (error instanceof NotFoundError) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(error, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
     return {
       content: [
         {
@@ -236,6 +346,30 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   }
 });
 
+// Resource templates handlers
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: [] }));
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  logDebug("Handling list_resource_templates request");
+  return { resourceTemplates: describeResourceTemplates(resourceTemplates) };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  logDebug(`Reading resource: ${uri}`);
+  const result = await readResourceTemplate(resourceTemplates, uri);
+  if (!result) {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  return result;
+});
+
+// Complete resource template arguments from the live data
+server.setRequestHandler(CompleteRequestSchema, async (request) => {
+  logDebug(`Completing argument: ${request.params.argument.name}`);
+  return await getCompletion(resourceTemplates, request.params);
+});
+
 // Start server
 async function main() {
   try {
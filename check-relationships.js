@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the relationship links of the encyclopedia, e.g. before publishing
+ * Usage: node check-relationships.js [--json]
+ * Exits with 1 if there are issues, 2 if the encyclopedia could not be loaded.
+ * Uses live data, or the snapshots with AHAAN_THAI_OFFLINE=1.
+ */
+
+import { checkRelationships, RELATIONSHIP_ISSUE_KINDS } from './src/lib/encyclopedia-logic.js';
+
+const json = process.argv.includes('--json');
+
+let report;
+try {
+  report = await checkRelationships();
+} catch (error) {
+  console.error(`✗ Could not check the encyclopedia: ${error.message}`);
+  process.exit(2);
+}
+
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(`Checked ${report.links} links of ${report.entries} entries`);
+  for (const kind of RELATIONSHIP_ISSUE_KINDS) {
+    const issues = report.issues.filter((issue) => issue.kind === kind);
+    if (issues.length > 0) {
+      console.log(`\n✗ ${kind} (${issues.length})`);
+      issues.forEach((issue) => console.log(`  ${issue.message}`));
+    }
+  }
+  console.log(report.issues.length > 0 ? `\n${report.issues.length} issue(s) found` : '✓ No issues found');
+}
+
+process.exit(report.issues.length > 0 ? 1 : 0);
@@ -4,14 +4,25 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
   ErrorCode,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
   ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { logDebug, logError, logInfo } from "./src/lib/logger.js";
+import { getRecentChanges } from "./src/lib/changes.js";
+import {
+  describeResourceTemplates,
+  getCompletion,
+  getResourceTemplates,
+  readResourceTemplate,
+} from "./src/lib/completions.js";
 import * as dictionary from "./src/lib/dictionary-logic.js";
+import { NotFoundError } from "./src/lib/errors.js";
+import { pageProperties, paginate } from "./src/lib/pagination.js";
 
 // Create server
 logDebug("Creating MCP Server instance...");
@@ -24,11 +35,22 @@ const server = new Server(
     capabilities: {
       tools: {},
       resources: {},
+      completions: {},
     },
   }
 );
+
+// Resource templates whose arguments are completed, e.g. the category
+const resourceTemplates = getResourceTemplates([dictionary.DATASET]);
 logInfo("MCP Server instance created successfully");
 
+// Closing line of a page of results, with the cursor of the next page
+function formatPageFooter(page, shown) {
+  return page.nextCursor
+    ? `\n\nShowing ${shown} of ${page.total}. Next page: call again with cursor "${page.nextCursor}"`
+    : "";
+}
+
 // List available tools - now with dynamic categories
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   logDebug("Handling ListTools request");
@@ -48,13 +70,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           query: {
             type: "string",
             description:
-              "Search term (can be in German, English, Thai, or transliteration)",
+              "Search term (can be in German, English, Thai, or transliteration) or query, e.g. meaning:fish -sauce (fields: thai, meaning, trans, category, lang)",
           },
           category: {
             type: "string",
             description: "Optional: specific category to search in",
             enum: categories,
           },
+          ...pageProperties(),
         },
         required: ["query"],
       },
@@ -71,6 +94,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             description: "Category name",
             enum: categories,
           },
+          ...pageProperties(),
         },
         required: ["category"],
       },
@@ -80,7 +104,9 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       description: "List all available categories in the Thai food dictionary",
       inputSchema: {
         type: "object",
-        properties: {},
+        properties: {
+          ...pageProperties(),
+        },
       },
     },
     {
@@ -97,6 +123,60 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         required: ["thai_word"],
       },
     },
+    {
+      name: "translate_to_thai",
+      description:
+        "Find the Thai term for a German or English word (e.g. \"Klebreis\", \"fish sauce\"), with both transliterations. Plurals, prefixes and German compound words match too; best matches first",
+      inputSchema: {
+        type: "object",
+        properties: {
+          term: {
+            type: "string",
+            description: "German or English word(s)",
+          },
+          language: {
+            type: "string",
+            description: "Optional: only match meanings in this language (default: both)",
+            enum: dictionary.MEANING_LANGUAGES,
+          },
+          ...pageProperties(20),
+        },
+        required: ["term"],
+      },
+    },
+    {
+      name: "get_data_quality_report",
+      description:
+        "List malformed dictionary entries that were quarantined when loading the data",
+      inputSchema: {
+        type: "object",
+        properties: {},
+      },
+    },
+    {
+      name: "get_recent_changes",
+      description:
+        "List dictionary terms that were added, removed or modified upstream",
+      inputSchema: {
+        type: "object",
+        properties: {
+          since: {
+            type: "string",
+            description: "Only changes detected at or after this ISO date (e.g. 2025-01-31)",
+          },
+          ...pageProperties(),
+        },
+      },
+    },
+    {
+      name: "refresh_data",
+      description:
+        "Reload the dictionary from upstream now, bypassing the cache. Returns the record count and content hash",
+      inputSchema: {
+        type: "object",
+        properties: {},
+      },
+    },
   ];
 
   logDebug(`Returning ${tools.length} available tools with dynamic categories`);
@@ -125,6 +205,19 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => {
   return { resources };
 });
 
+// List resource templates
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  logDebug("Handling ListResourceTemplates request");
+  return { resourceTemplates: describeResourceTemplates(resourceTemplates) };
+});
+
+// Complete resource template arguments from the live data
+server.setRequestHandler(CompleteRequestSchema, async (request) => {
+  const { argument } = request.params;
+  logDebug(`Handling Complete request for "${argument.name}": "${argument.value}"`);
+  return await getCompletion(resourceTemplates, request.params);
+});
+
 // Read resources
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   const { uri } = request.params;
@@ -159,12 +252,17 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
           ],
         };
 
-      default:
+      default: {
+        const templated = await readResourceTemplate(resourceTemplates, uri);
+        if (templated) {
+          return templated;
+        }
         logError(`Unknown resource requested: ${uri}`);
         throw new McpError(
           ErrorCode.InvalidRequest,
           `Unknown resource: ${uri}`
         );
+      }
     }
   } catch (err) {
     logError(`Error handling ReadResource for ${uri}:`, err.message);
@@ -180,12 +278,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   try {
     switch (name) {
       case "search_thai_food": {
-        const { query, category } = args;
+        const { query, category, cursor, limit } = args;
         logDebug(
           `Search request - Query: "${query}", Category: ${category || "all"}`
         );
 
         const results = await dictionary.searchDictionary(query, category);
+        const page = paginate("terms", results, { cursor, limit });
 
         logInfo(`Search completed: ${results.length} results for "${query}"`);
         return {
@@ -196,7 +295,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 `Found ${results.length} results for "${query}"${
                   category ? ` in category "${category}"` : ""
                 }:\n\n` +
-                results
+                page.terms
                   .map(
                     (item) =>
                       `🏷️ Category: ${item.category}\n` +
@@ -206,17 +305,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                       `📝 Transliteration (DE): ${item.trans_de}\n` +
                       `📝 Transliteration (EN): ${item.trans_en}\n`
                   )
-                  .join("\n---\n\n"),
+                  .join("\n---\n\n") +
+                formatPageFooter(page, page.terms.length),
             },
           ],
         };
       }
 
       case "get_category": {
-        const { category } = args;
+        const { category, cursor, limit } = args;
         logDebug(`Get category request: ${category}`);
 
         const items = await dictionary.getCategory(category);
+        const page = paginate("terms", items, { cursor, limit });
 
         logInfo(`Category "${category}" retrieved: ${items.length} items`);
         return {
@@ -225,13 +326,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               type: "text",
               text:
                 `Category: ${category} (${items.length} items)\n\n` +
-                items
+                page.terms
                   .map(
                     (item) =>
                       `🇹🇭 ${item.thai} → 🇩🇪 ${item.meaning_de} / 🇬🇧 ${item.meaning_en}\n` +
                       `   📝 ${item.trans_de} / ${item.trans_en}`
                   )
-                  .join("\n\n"),
+                  .join("\n\n") +
+                formatPageFooter(page, page.terms.length),
             },
           ],
         };
@@ -240,8 +342,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case "get_categories": {
         logDebug("Get categories request");
         const categories = await dictionary.getCategoryList();
+        const page = paginate("categories", categories, args || {});
 
-        const formattedCategories = categories.map((cat) =>
+        const formattedCategories = page.categories.map((cat) =>
           `• ${cat.name} (${cat.count} items)`
         );
 
@@ -250,9 +353,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [
             {
               type: "text",
-              text: `Available Thai Food Dictionary Categories:\n\n${formattedCategories.join(
-                "\n"
-              )}`,
+              text:
+                `Available Thai Food Dictionary Categories:\n\n${formattedCategories.join(
+                  "\n"
+                )}` + formatPageFooter(page, page.categories.length),
             },
           ],
         };
@@ -264,18 +368,6 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
         const found = await dictionary.translateWord(thai_word);
 
-        if (!found) {
-          logDebug(`No exact match found for: "${thai_word}"`);
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Thai word "${thai_word}" not found in dictionary. Try using the search function for partial matches.`,
-              },
-            ],
-          };
-        }
-
         logInfo(
           `Translation found for "${thai_word}" in category "${found.category}"`
         );
@@ -296,11 +388,109 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case "translate_to_thai": {
+        const { term, language, cursor, limit } = args;
+        logDebug(`Reverse translation request for: "${term}" (${language || "de/en"})`);
+
+        const candidates = await dictionary.translateToThai(term, language || null);
+        const page = paginate("candidates", candidates, { cursor, limit }, 20);
+
+        logInfo(`Reverse translation: ${candidates.length} candidates for "${term}"`);
+        return {
+          content: [
+            {
+              type: "text",
+              text:
+                `Found ${candidates.length} Thai terms for "${term}":\n\n` +
+                page.candidates
+                  .map(
+                    (item) =>
+                      `🇹🇭 Thai: ${item.thai} (${item.match} match, ${item.language}, score ${item.score})\n` +
+                      `🏷️ Category: ${item.category}\n` +
+                      `🇩🇪 German: ${item.meaning_de}\n` +
+                      `🇬🇧 English: ${item.meaning_en}\n` +
+                      `📝 Transliteration (DE): ${item.trans_de}\n` +
+                      `📝 Transliteration (EN): ${item.trans_en}\n`
+                  )
+                  .join("\n---\n\n") +
+                formatPageFooter(page, page.candidates.length),
+            },
+          ],
+        };
+      }
+
+      case "get_data_quality_report": {
+        logDebug("Data quality report request");
+        const report = await dictionary.getDataQualityReport();
+
+        logInfo(
+          `Data quality report: ${report?.quarantinedRecords ?? 0} quarantined entries`
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(report, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_recent_changes": {
+        const { since, cursor, limit } = args || {};
+        logDebug(`Recent changes request since: ${since || "beginning"}`);
+
+        const changes = await getRecentChanges({ since, dataset: dictionary.DATASET });
+
+        logInfo(`Returning ${changes.length} dictionary change sets`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(paginate("changes", changes, { cursor, limit }), null, 2),
+            },
+          ],
+        };
+      }
+
+      case "refresh_data": {
+        logDebug("Forced dictionary refresh");
+        const result = await dictionary.refreshData();
+
+        logInfo(`Dictionary refreshed: ${result.records} entries, hash ${result.contentHash}`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
       default:
         logError(`Unknown tool requested: ${name}`);
         throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
     }
   } catch (err) {
+    // Not found: the closest values, so the call can be retried right away
+    if (err instanceof NotFoundError) {
+      logDebug(`Not found in tool call "${name}":`, err.message);
+      return {
+        content: [
+          {
+            type: "text",
+            // This server calls the word argument thai_word
+            text: JSON.stringify(
+              { ...err.toJSON(), argument: err.argument === "word" ? "thai_word" : err.argument },
+              null,
+              2
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
     logError(`Error handling tool call "${name}":`, err.message);
     logError("Stack trace:", err.stack);
     throw err;
@@ -4,14 +4,25 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
   ErrorCode,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
   ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { logDebug, logError, logInfo } from "./src/lib/logger.js";
+import { getRecentChanges } from "./src/lib/changes.js";
+import {
+  describeResourceTemplates,
+  getCompletion,
+  getResourceTemplates,
+  readResourceTemplate,
+} from "./src/lib/completions.js";
 import * as encyclopedia from "./src/lib/encyclopedia-logic.js";
+import { InvalidCursorError, NotFoundError } from "./src/lib/errors.js";
+import { pageProperties, paginate } from "./src/lib/pagination.js";
 
 // Removed inline implementation - using shared library logic
 
@@ -25,10 +36,14 @@ const server = new Server(
     capabilities: {
       resources: {},
       tools: {},
+      completions: {},
     },
   }
 );
 
+// Resource templates whose arguments are completed, e.g. the tag
+const resourceTemplates = getResourceTemplates([encyclopedia.DATASET]);
+
 // List available resources
 server.setRequestHandler(ListResourcesRequestSchema, async () => {
   logDebug("Handling ListResources request");
@@ -45,6 +60,18 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => {
   };
 });
 
+// List resource templates
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  logDebug("Handling ListResourceTemplates request");
+  return { resourceTemplates: describeResourceTemplates(resourceTemplates) };
+});
+
+// Complete resource template arguments from the live data
+server.setRequestHandler(CompleteRequestSchema, async (request) => {
+  logDebug(`Completing argument: ${request.params.argument.name}`);
+  return await getCompletion(resourceTemplates, request.params);
+});
+
 // Handle resource reading
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   logDebug(`Reading resource: ${request.params.uri}`);
@@ -62,6 +89,11 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
     };
   }
 
+  const templated = await readResourceTemplate(resourceTemplates, request.params.uri);
+  if (templated) {
+    return templated;
+  }
+
   throw new McpError(
     ErrorCode.InvalidRequest,
     `Unknown resource: ${request.params.uri}`
@@ -77,20 +109,16 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "search_encyclopedia",
         description:
-          "Search the Thai Food Encyclopedia for dishes, ingredients, or cooking methods",
+          "Search the Thai Food Encyclopedia for dishes, ingredients, or cooking methods. Results are ranked by relevance and carry a score and the matched fields",
         inputSchema: {
           type: "object",
           properties: {
             query: {
               type: "string",
               description:
-                "Search term to look for in names, descriptions, tags, and regions",
-            },
-            limit: {
-              type: "number",
-              description: "Maximum number of results to return (default: 20)",
-              default: 20,
+                "Search term to look for in names, descriptions, tags, and regions, or query, e.g. tag:curry region:isaan -pork (fields: name, thai, transcription, tag, region, summary, description, lang)",
             },
+            ...pageProperties(20),
           },
           required: ["query"],
         },
@@ -106,11 +134,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description:
                 "Thai region name (e.g., 'Bangkok', 'Isaan', 'Northern Thailand')",
             },
-            limit: {
-              type: "number",
-              description: "Maximum number of results to return (default: 20)",
-              default: 20,
-            },
+            ...pageProperties(20),
           },
           required: ["region"],
         },
@@ -127,11 +151,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description:
                 "Tag to filter by (e.g., 'curry', 'noodles', 'dessert', 'spicy')",
             },
-            limit: {
-              type: "number",
-              description: "Maximum number of results to return (default: 20)",
-              default: 20,
-            },
+            ...pageProperties(20),
           },
           required: ["tag"],
         },
@@ -139,15 +159,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "get_all_entries",
         description:
-          "Get all encyclopedia entries (use with caution for large datasets)",
+          "Get all encyclopedia entries, page by page",
         inputSchema: {
           type: "object",
           properties: {
-            limit: {
-              type: "number",
-              description: "Maximum number of entries to return (default: 100)",
-              default: 100,
-            },
+            ...pageProperties(100),
           },
         },
       },
@@ -169,10 +185,162 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {},
         },
       },
+      {
+        name: "get_related_entries",
+        description:
+          "Walk the relationships (uses, usedBy, fits, fittedBy, variations, variationOf) from an entry, e.g. from a curry paste via usedBy to all dishes using it. Returns the related entries with their distance and the labelled edges",
+        inputSchema: {
+          type: "object",
+          properties: {
+            entry: {
+              type: "string",
+              description:
+                "Thai name, alternative name, transcription or URL of the entry",
+            },
+            types: {
+              type: "array",
+              items: { type: "string", enum: encyclopedia.RELATIONSHIP_NAMES },
+              description: "Relationship types to follow (default: all)",
+            },
+            depth: {
+              type: "number",
+              description: "Steps from the entry (default: 1)",
+              minimum: 1,
+              maximum: encyclopedia.MAX_RELATION_DEPTH,
+            },
+            language: {
+              type: "string",
+              enum: ["de", "en"],
+              description: "Language of the edge labels (default: en)",
+            },
+          },
+          required: ["entry"],
+        },
+      },
+      {
+        name: "export_graph",
+        description:
+          "Export the relationships (how dishes, pastes and ingredients connect) as a Mermaid, Graphviz DOT or GraphML graph, optionally only for a region, a tag or the entries around one entry",
+        inputSchema: {
+          type: "object",
+          properties: {
+            format: {
+              type: "string",
+              enum: encyclopedia.GRAPH_FORMAT_NAMES,
+              description: "Graph format (default: mermaid)",
+            },
+            region: {
+              type: "string",
+              description: "Only entries of this region",
+            },
+            tag: {
+              type: "string",
+              description: "Only entries with this tag",
+            },
+            entry: {
+              type: "string",
+              description: "Only this entry and the entries related to it",
+            },
+            depth: {
+              type: "number",
+              description: "Steps from entry (default: 1)",
+              minimum: 1,
+              maximum: encyclopedia.MAX_RELATION_DEPTH,
+            },
+            types: {
+              type: "array",
+              items: { type: "string", enum: encyclopedia.RELATIONSHIP_NAMES },
+              description: "Relationship types (default: all)",
+            },
+            language: {
+              type: "string",
+              enum: ["de", "en"],
+              description: "Language of the node and edge labels (default: en)",
+            },
+          },
+        },
+      },
+      {
+        name: "check_relationships",
+        description:
+          "Check the relationship links: links to no entry (dangling), links without the reverse link (missing_inverse), links of an entry to itself (self_reference) and different links in German and English (language_mismatch)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            kind: {
+              type: "string",
+              enum: encyclopedia.RELATIONSHIP_ISSUE_KINDS,
+              description: "Only list issues of this kind",
+            },
+            ...pageProperties(),
+          },
+        },
+      },
+      {
+        name: "get_data_quality_report",
+        description:
+          "List malformed encyclopedia entries that were quarantined when loading the data",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      {
+        name: "get_recent_changes",
+        description:
+          "List encyclopedia entries that were added, removed or modified upstream",
+        inputSchema: {
+          type: "object",
+          properties: {
+            since: {
+              type: "string",
+              description:
+                "Only changes detected at or after this ISO date (e.g. 2025-01-31)",
+            },
+            ...pageProperties(),
+          },
+        },
+      },
+      {
+        name: "refresh_data",
+        description:
+          "Reload the encyclopedia from upstream now, bypassing the cache. Returns the record count and content hash",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
     ],
   };
 });
 
+// The low-level server does not check arguments against the input schemas
+function checkRelationshipArguments({ types, language }) {
+  if (language !== undefined && !["de", "en"].includes(language)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unsupported language "${language}". Use "de" or "en"`
+    );
+  }
+  if (types !== undefined) {
+    if (!Array.isArray(types)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "types must be an array of relationship types"
+      );
+    }
+    const unknown = types.filter(
+      (type) => !encyclopedia.RELATIONSHIP_NAMES.includes(type)
+    );
+    if (unknown.length > 0) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown relationship type(s): ${unknown.join(", ")}. Use: ${encyclopedia.RELATIONSHIP_NAMES.join(", ")}`
+      );
+    }
+  }
+}
+
 // Handle tool calls
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
@@ -181,7 +349,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   try {
     switch (name) {
       case "search_encyclopedia": {
-        const { query, limit = 20 } = args;
+        const { query, cursor, limit } = args;
         if (!query) {
           throw new McpError(
             ErrorCode.InvalidRequest,
@@ -189,19 +357,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           );
         }
 
-        const results = await encyclopedia.searchEntries(query, limit);
+        const results = await encyclopedia.searchEntries(query);
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(results, null, 2),
+              text: JSON.stringify(paginate("entries", results, { cursor, limit }, 20), null, 2),
             },
           ],
         };
       }
 
       case "get_entries_by_region": {
-        const { region, limit = 20 } = args;
+        const { region, cursor, limit } = args;
         if (!region) {
           throw new McpError(
             ErrorCode.InvalidRequest,
@@ -209,19 +377,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           );
         }
 
-        const results = await encyclopedia.getEntriesByRegion(region, limit);
+        const results = await encyclopedia.getEntriesByRegion(region);
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(results, null, 2),
+              text: JSON.stringify(paginate("entries", results, { cursor, limit }, 20), null, 2),
             },
           ],
         };
       }
 
       case "get_entries_by_tag": {
-        const { tag, limit = 20 } = args;
+        const { tag, cursor, limit } = args;
         if (!tag) {
           throw new McpError(
             ErrorCode.InvalidRequest,
@@ -229,27 +397,28 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           );
         }
 
-        const results = await encyclopedia.getEntriesByTag(tag, limit);
+        const results = await encyclopedia.getEntriesByTag(tag);
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(results, null, 2),
+              text: JSON.stringify(paginate("entries", results, { cursor, limit }, 20), null, 2),
             },
           ],
         };
       }
 
       case "get_all_entries": {
-        const { limit = 100 } = args;
-        const results = await encyclopedia.getAllEntries(limit);
+        const { cursor, limit } = args || {};
+        const results = await encyclopedia.getAllEntries();
+        const page = paginate("entries", results, { cursor, limit }, 100);
 
-        logInfo(`Returning ${results.length} encyclopedia entries`);
+        logInfo(`Returning ${page.entries.length} of ${page.total} encyclopedia entries`);
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(results, null, 2),
+              text: JSON.stringify(page, null, 2),
             },
           ],
         };
@@ -285,6 +454,122 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case "get_related_entries": {
+        const { entry, types, depth, language } = args;
+        if (!entry) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            "Entry parameter is required"
+          );
+        }
+        checkRelationshipArguments(args);
+
+        const related = await encyclopedia.getRelatedEntries(entry, {
+          types,
+          depth,
+          language,
+        });
+
+        logInfo(
+          `Returning ${related.entries.length} entries related to "${related.entry.thaiName}"`
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(related, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "export_graph": {
+        checkRelationshipArguments(args || {});
+        const result = await encyclopedia.exportRelationshipGraph(args || {});
+
+        logInfo(
+          `Exported ${result.format} graph with ${result.nodes} entries and ${result.edges} relationships`
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: result.graph,
+            },
+          ],
+        };
+      }
+
+      case "check_relationships": {
+        const { kind, cursor, limit } = args || {};
+        const { issues, ...summary } = await encyclopedia.checkRelationships();
+        const listed = kind ? issues.filter((issue) => issue.kind === kind) : issues;
+
+        logInfo(`Relationship check found ${issues.length} issues`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                { ...summary, ...paginate("issues", listed, { cursor, limit }) },
+                null,
+                2
+              ),
+            },
+          ],
+        };
+      }
+
+      case "get_data_quality_report": {
+        const report = await encyclopedia.getDataQualityReport();
+
+        logInfo(
+          `Returning data quality report with ${report?.quarantinedRecords ?? 0} quarantined entries`
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(report, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "get_recent_changes": {
+        const { since, cursor, limit } = args || {};
+        const changes = await getRecentChanges({
+          since,
+          dataset: encyclopedia.DATASET,
+        });
+
+        logInfo(`Returning ${changes.length} encyclopedia change sets`);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(paginate("changes", changes, { cursor, limit }), null, 2),
+            },
+          ],
+        };
+      }
+
+      case "refresh_data": {
+        const result = await encyclopedia.refreshData();
+
+        logInfo(
+          `Encyclopedia refreshed: ${result.records} entries, hash ${result.contentHash}`
+        );
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
       default:
         throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
     }
@@ -293,6 +578,21 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     if (error instanceof McpError) {
       throw error;
     }
+    if (error instanceof InvalidCursorError) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    // Not found: the closest entries, so the call can be retried right away
+    if (error instanceof NotFoundError) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(error, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
     throw new McpError(
       ErrorCode.InternalError,
       `Tool ${name} failed: ${error.message}`
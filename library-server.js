@@ -2,15 +2,28 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
   ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import { logDebug, logError, logInfo } from './src/lib/logger.js';
+import { getRecentChanges } from './src/lib/changes.js';
+import {
+  describeResourceTemplates,
+  getCompletion,
+  getResourceTemplates,
+  readResourceTemplate
+} from './src/lib/completions.js';
+import { InvalidCursorError, NotFoundError } from './src/lib/errors.js';
 import * as library from './src/lib/library-logic.js';
+import { pageProperties, paginate, paginateObject } from './src/lib/pagination.js';
 
 // Tool handlers
-const listCookbooks = async () => {
+const listCookbooks = async (page) => {
   logDebug('=== LIST COOKBOOKS START ===');
   try {
     const cookbooks = await library.listCookbooks();
@@ -19,7 +32,7 @@ const listCookbooks = async () => {
       content: [
         {
           type: 'text',
-          text: JSON.stringify(cookbooks, null, 2),
+          text: JSON.stringify(paginate('cookbooks', cookbooks, page), null, 2),
         },
       ],
     };
@@ -29,8 +42,8 @@ const listCookbooks = async () => {
   }
 };
 
-const getCookbookRecipes = async (cookbookName) => {
-  logDebug('Executing getCookbookRecipes', { cookbookName });
+const getCookbookRecipes = async (cookbookName, page) => {
+  logDebug('Executing getCookbookRecipes', { cookbookName, page });
   const cookbook = await library.getCookbookRecipes(cookbookName);
 
   logInfo('Retrieved cookbook recipes', { cookbookName, recipeCount: Object.keys(cookbook).length });
@@ -38,14 +51,14 @@ const getCookbookRecipes = async (cookbookName) => {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(cookbook, null, 2),
+        text: JSON.stringify({ cookbook: cookbookName, ...paginateObject('recipes', cookbook, page) }, null, 2),
       },
     ],
   };
 };
 
-const searchRecipes = async (params) => {
-  logDebug('Executing searchRecipes', { params });
+const searchRecipes = async ({ cursor, limit, ...params }) => {
+  logDebug('Executing searchRecipes', { params, cursor, limit });
   const results = await library.searchRecipes(params);
 
   logInfo('Search completed', {
@@ -58,7 +71,7 @@ const searchRecipes = async (params) => {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify(paginate('recipes', results.recipes, { cursor, limit }), null, 2),
       },
     ],
   };
@@ -79,8 +92,8 @@ const getRecipeByKey = async (cookbookName, recipeKey) => {
   };
 };
 
-const getRecipesByRegion = async (region) => {
-  logDebug('Executing getRecipesByRegion', { region });
+const getRecipesByRegion = async (region, page) => {
+  logDebug('Executing getRecipesByRegion', { region, page });
   const results = await library.getRecipesByRegion(region);
 
   logInfo('Retrieved recipes by region', { region, recipeCount: results.total_recipes });
@@ -88,7 +101,7 @@ const getRecipesByRegion = async (region) => {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify({ region, ...paginate('recipes', results.recipes, page) }, null, 2),
       },
     ],
   };
@@ -113,6 +126,51 @@ const getCookbookStats = async () => {
   };
 };
 
+const getDataQualityReport = async () => {
+  logDebug('Executing getDataQualityReport');
+  const report = await library.getDataQualityReport();
+
+  logInfo('Generated data quality report', { quarantinedRecords: report?.quarantinedRecords ?? 0 });
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(report, null, 2),
+      },
+    ],
+  };
+};
+
+const getLibraryChanges = async (since, page) => {
+  logDebug('Executing getLibraryChanges', { since, page });
+  const changes = await getRecentChanges({ since, dataset: library.DATASET });
+
+  logInfo('Retrieved library changes', { since, changeSets: changes.length });
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(paginate('changes', changes, page), null, 2),
+      },
+    ],
+  };
+};
+
+const refreshData = async () => {
+  logDebug('Executing refreshData');
+  const refreshed = await library.refreshData();
+
+  logInfo('Refreshed library data', { records: refreshed.records, contentHash: refreshed.contentHash });
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(refreshed, null, 2),
+      },
+    ],
+  };
+};
+
 // Tool routing
 const handleToolCall = async (request) => {
   const { name, arguments: args } = request.params;
@@ -123,7 +181,7 @@ const handleToolCall = async (request) => {
     switch (name) {
       case 'list_cookbooks':
         logDebug('Routing to listCookbooks');
-        result = await listCookbooks();
+        result = await listCookbooks(args);
         break;
 
       case 'get_cookbook_recipes':
@@ -132,7 +190,7 @@ const handleToolCall = async (request) => {
           throw new McpError(ErrorCode.InvalidParams, 'cookbook_name is required');
         }
         logDebug('Routing to getCookbookRecipes', { cookbookName: args.cookbook_name });
-        result = await getCookbookRecipes(args.cookbook_name);
+        result = await getCookbookRecipes(args.cookbook_name, args);
         break;
 
       case 'search_recipes':
@@ -155,7 +213,7 @@ const handleToolCall = async (request) => {
           throw new McpError(ErrorCode.InvalidParams, 'region is required');
         }
         logDebug('Routing to getRecipesByRegion', { region: args.region });
-        result = await getRecipesByRegion(args.region);
+        result = await getRecipesByRegion(args.region, args);
         break;
 
       case 'get_cookbook_stats':
@@ -163,6 +221,25 @@ const handleToolCall = async (request) => {
         result = await getCookbookStats();
         break;
 
+      case 'get_data_quality_report':
+        logDebug('Routing to getDataQualityReport');
+        result = await getDataQualityReport();
+        break;
+
+      case 'get_recent_changes':
+        if (args && args.since !== undefined && typeof args.since !== 'string') {
+          logError('Invalid parameters for get_recent_changes', { args });
+          throw new McpError(ErrorCode.InvalidParams, 'since must be an ISO date string');
+        }
+        logDebug('Routing to getLibraryChanges', { since: args?.since });
+        result = await getLibraryChanges(args?.since, args);
+        break;
+
+      case 'refresh_data':
+        logDebug('Routing to refreshData');
+        result = await refreshData();
+        break;
+
       default:
         logError('Unknown tool requested', { toolName: name });
         throw new McpError(ErrorCode.MethodNotFound, `Tool ${name} not found`);
@@ -176,6 +253,27 @@ const handleToolCall = async (request) => {
       logError('=== TOOL CALL MCP ERROR ===', { toolName: name, error: error.message });
       throw error;
     }
+    if (error instanceof InvalidCursorError) {
+      logError('=== TOOL CALL INVALID CURSOR ===', { toolName: name, cursor: error.cursor });
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    // Not found: the closest values, so the call can be retried right away
+    if (error instanceof NotFoundError) {
+      logDebug('=== TOOL CALL NOT FOUND ===', { toolName: name, suggestions: error.suggestions.length });
+      return {
+        content: [
+          {
+            type: 'text',
+            // This server calls the cookbook argument cookbook_name
+            text: JSON.stringify({
+              ...error.toJSON(),
+              argument: error.argument === 'cookbook' ? 'cookbook_name' : error.argument
+            }, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
     logError('=== TOOL CALL UNEXPECTED ERROR ===', {
       toolName: name,
       errorType: error.constructor.name,
@@ -189,6 +287,25 @@ const handleToolCall = async (request) => {
   }
 };
 
+// Resource templates whose arguments are completed: cookbook, recipe_key, region
+const resourceTemplates = getResourceTemplates([library.DATASET]);
+
+const readResource = async (request) => {
+  const { uri } = request.params;
+  logDebug('Reading resource', { uri });
+  const result = await readResourceTemplate(resourceTemplates, uri);
+  if (!result) {
+    throw new McpError(ErrorCode.InvalidRequest, `Unknown resource: ${uri}`);
+  }
+  return result;
+};
+
+const completeArgument = async (request) => {
+  const { ref, argument } = request.params;
+  logDebug('Completing argument', { uri: ref.uri, argument: argument.name, value: argument.value });
+  return await getCompletion(resourceTemplates, request.params);
+};
+
 // Server setup
 const createServer = () => {
   logDebug('Creating MCP server');
@@ -200,6 +317,8 @@ const createServer = () => {
     {
       capabilities: {
         tools: {},
+        resources: {},
+        completions: {},
       },
     }
   );
@@ -216,7 +335,9 @@ const createServer = () => {
       description: 'List all available Thai cookbooks in the library',
       inputSchema: {
         type: 'object',
-        properties: {},
+        properties: {
+          ...pageProperties()
+        },
         required: []
       }
     });
@@ -231,7 +352,8 @@ const createServer = () => {
           cookbook_name: {
             type: 'string',
             description: 'Name of the cookbook (e.g. "bangkok_original_streetfood")'
-          }
+          },
+          ...pageProperties()
         },
         required: ['cookbook_name']
       }
@@ -246,7 +368,7 @@ const createServer = () => {
         properties: {
           query: {
             type: 'string',
-            description: 'Search term (searches in German and English titles as well as Thai names)'
+            description: 'Search term (searches in German and English titles as well as Thai names) or query, e.g. title:khao -soi (fields: title, thai, transcription, region, cookbook, lang)'
           },
           region: {
             type: 'string',
@@ -255,7 +377,8 @@ const createServer = () => {
           cookbook: {
             type: 'string',
             description: 'Filter by cookbook'
-          }
+          },
+          ...pageProperties()
         },
         required: []
       }
@@ -291,7 +414,8 @@ const createServer = () => {
           region: {
             type: 'string',
             description: 'Thai region (central, north, south, isaan)'
-          }
+          },
+          ...pageProperties()
         },
         required: ['region']
       }
@@ -308,6 +432,45 @@ const createServer = () => {
       }
     });
 
+    // Tool 6: get_data_quality_report
+    tools.push({
+      name: 'get_data_quality_report',
+      description: 'List malformed recipes that were quarantined when loading the library',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      }
+    });
+
+    // Tool 7: get_recent_changes
+    tools.push({
+      name: 'get_recent_changes',
+      description: 'List recipes that were added, removed or modified upstream',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          since: {
+            type: 'string',
+            description: 'Only changes detected at or after this ISO date (e.g. "2025-01-31")'
+          },
+          ...pageProperties()
+        },
+        required: []
+      }
+    });
+
+    // Tool 8: refresh_data
+    tools.push({
+      name: 'refresh_data',
+      description: 'Reload the library from upstream now, bypassing the cache. Returns the record count and content hash',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        required: []
+      }
+    });
+
     const response = { tools };
     logDebug('Full tools response:', JSON.stringify(response, null, 2));
 
@@ -317,6 +480,14 @@ const createServer = () => {
   // Call tool handler
   server.setRequestHandler(CallToolRequestSchema, handleToolCall);
 
+  // Resource templates and the completion of their arguments
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: [] }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: describeResourceTemplates(resourceTemplates)
+  }));
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(CompleteRequestSchema, completeArgument);
+
   logInfo('MCP server created successfully');
   return server;
 };
@@ -6,16 +6,52 @@
  * Combines Dictionary, Book Info, Library, and Encyclopedia
  */
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import express from 'express';
 import cors from 'cors';
+import { createHash, timingSafeEqual } from 'crypto';
 import { z } from 'zod';
+import { getRecentChanges } from './lib/changes.js';
+import { completeArgument, decodeVariables, RESOURCE_TEMPLATES } from './lib/completions.js';
+import { config } from './lib/config.js';
+import { NotFoundError, QueryParseError } from './lib/errors.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, paginate, paginateObject } from './lib/pagination.js';
+import { searchEverything } from './lib/unified-search.js';
+import { getCircuitBreakerStates } from './lib/upstream.js';
+import { canonicalizeUrl, resolveUrl } from './lib/url-resolver.js';
 import * as dictionary from './lib/dictionary-logic.js';
 import * as bookInfo from './lib/book-info-logic.js';
 import * as library from './lib/library-logic.js';
 import * as encyclopedia from './lib/encyclopedia-logic.js';
 
+// Logic modules by dataset name (see config.datasets)
+const datasetModules = {
+  dictionary,
+  books: bookInfo,
+  library,
+  encyclopedia,
+};
+
+// cursor and limit of the list and search tools (see pagination.js)
+function pageParams(defaultLimit = DEFAULT_PAGE_SIZE) {
+  return {
+    cursor: z.string().optional().describe('nextCursor of the previous page, omit for the first page'),
+    limit: z.number().int().min(1).max(MAX_PAGE_SIZE).optional().describe(`Maximum number of results per page (default: ${defaultLimit})`),
+  };
+}
+
+// Tool result of a failed call; not-found errors carry their suggestions as JSON
+function errorResult(error) {
+  return {
+    content: [{
+      type: 'text',
+      text: error instanceof NotFoundError ? JSON.stringify(error, null, 2) : error.message,
+    }],
+    isError: true,
+  };
+}
+
 // Create MCP Server
 const server = new McpServer({
   name: 'ahaan-thai',
@@ -32,16 +68,17 @@ server.registerTool(
     title: 'Search Thai Food Dictionary',
     description: 'Search for Thai food terms across all categories or within a specific category',
     inputSchema: {
-      query: z.string().describe('Search term (Thai, English, or German)'),
+      query: z.string().describe('Search term (Thai, English, or German) or query, e.g. meaning:fish -sauce (fields: thai, meaning, trans, category, lang)'),
       category: z.string().optional().describe('Optional category to search within'),
+      ...pageParams(),
     },
   },
-  async ({ query, category }) => {
+  async ({ query, category, ...page }) => {
     const results = await dictionary.searchDictionary(query, category || null);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify(paginate('terms', results, page), null, 2),
       }],
     };
   }
@@ -54,25 +91,20 @@ server.registerTool(
     description: 'Get all items in a specific dictionary category',
     inputSchema: {
       category: z.string().describe('Category name (e.g., "curries", "soups")'),
+      ...pageParams(),
     },
   },
-  async ({ category }) => {
+  async ({ category, ...page }) => {
     try {
       const items = await dictionary.getCategory(category);
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(items, null, 2),
+          text: JSON.stringify({ category, ...paginate('terms', items, page) }, null, 2),
         }],
       };
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: error.message,
-        }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -87,20 +119,37 @@ server.registerTool(
     },
   },
   async ({ word }) => {
-    const result = await dictionary.translateWord(word);
-    if (!result) {
+    try {
+      const result = await dictionary.translateWord(word);
       return {
         content: [{
           type: 'text',
-          text: `Thai word "${word}" not found in dictionary`,
+          text: JSON.stringify(result, null, 2),
         }],
-        isError: true,
       };
+    } catch (error) {
+      return errorResult(error);
     }
+  }
+);
+
+server.registerTool(
+  'translate_to_thai',
+  {
+    title: 'Translate to Thai',
+    description: 'Find the Thai term for a German or English word (e.g. "Klebreis", "fish sauce"), with both transliterations. Plurals, prefixes and German compound words match too; best matches first',
+    inputSchema: {
+      term: z.string().describe('German or English word(s)'),
+      language: z.enum(dictionary.MEANING_LANGUAGES).optional().describe('Only match meanings in this language (default: both)'),
+      ...pageParams(20),
+    },
+  },
+  async ({ term, language, ...page }) => {
+    const candidates = await dictionary.translateToThai(term, language || null);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(result, null, 2),
+        text: JSON.stringify(paginate('candidates', candidates, page, 20), null, 2),
       }],
     };
   }
@@ -111,14 +160,16 @@ server.registerTool(
   {
     title: 'List Dictionary Categories',
     description: 'List all available dictionary categories',
-    inputSchema: {},
+    inputSchema: {
+      ...pageParams(),
+    },
   },
-  async () => {
+  async (page) => {
     const categories = await dictionary.getCategoryList();
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(categories, null, 2),
+        text: JSON.stringify(paginate('categories', categories, page), null, 2),
       }],
     };
   }
@@ -133,14 +184,16 @@ server.registerTool(
   {
     title: 'List Thai Cookbooks',
     description: 'List all Thai cookbooks in the collection',
-    inputSchema: {},
+    inputSchema: {
+      ...pageParams(),
+    },
   },
-  async () => {
+  async (page) => {
     const books = await bookInfo.listBooks();
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(books, null, 2),
+        text: JSON.stringify(paginate('books', books, page), null, 2),
       }],
     };
   }
@@ -152,20 +205,21 @@ server.registerTool(
     title: 'Search Cookbooks',
     description: 'Search cookbooks by various criteria',
     inputSchema: {
-      query: z.string().optional().describe('Search query'),
+      query: z.string().optional().describe('Search query, e.g. author:thompson "street food" (fields: title, author, description, lang, level, year, publisher, isbn)'),
       language: z.string().optional().describe('Language code (de, en, th)'),
       level: z.string().optional().describe('Difficulty level'),
       author: z.string().optional().describe('Author name'),
       year: z.string().optional().describe('Publication year'),
       publisher: z.string().optional().describe('Publisher name'),
+      ...pageParams(),
     },
   },
-  async (filters) => {
+  async ({ cursor, limit, ...filters }) => {
     const books = await bookInfo.searchBooks(filters);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(books, null, 2),
+        text: JSON.stringify(paginate('books', books, { cursor, limit }), null, 2),
       }],
     };
   }
@@ -177,7 +231,7 @@ server.registerTool(
     title: 'Get Cookbook by ISBN',
     description: 'Get detailed information about a cookbook by its ISBN',
     inputSchema: {
-      isbn: z.string().describe('ISBN of the cookbook'),
+      isbn: z.string().describe('ISBN-10 or ISBN-13 of the cookbook, with or without hyphens'),
     },
   },
   async ({ isbn }) => {
@@ -190,13 +244,7 @@ server.registerTool(
         }],
       };
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: error.message,
-        }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -208,25 +256,20 @@ server.registerTool(
     description: 'Get all cookbooks by a specific author',
     inputSchema: {
       author: z.string().describe('Author name'),
+      ...pageParams(),
     },
   },
-  async ({ author }) => {
+  async ({ author, ...page }) => {
     try {
       const books = await bookInfo.getBooksByAuthor(author);
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(books, null, 2),
+          text: JSON.stringify(paginate('books', books, page), null, 2),
         }],
       };
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: error.message,
-        }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -238,25 +281,20 @@ server.registerTool(
     description: 'Get all cookbooks in a specific language',
     inputSchema: {
       language: z.string().describe('Language code (de, en, th)'),
+      ...pageParams(),
     },
   },
-  async ({ language }) => {
+  async ({ language, ...page }) => {
     try {
       const books = await bookInfo.getBooksByLanguage(language);
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(books, null, 2),
+          text: JSON.stringify(paginate('books', books, page), null, 2),
         }],
       };
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: error.message,
-        }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -288,14 +326,16 @@ server.registerTool(
   {
     title: 'List Library Cookbooks',
     description: 'List all cookbooks with recipes in the library',
-    inputSchema: {},
+    inputSchema: {
+      ...pageParams(),
+    },
   },
-  async () => {
+  async (page) => {
     const cookbooks = await library.listCookbooks();
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(cookbooks, null, 2),
+        text: JSON.stringify(paginate('cookbooks', cookbooks, page), null, 2),
       }],
     };
   }
@@ -308,25 +348,20 @@ server.registerTool(
     description: 'Get all recipes from a specific cookbook',
     inputSchema: {
       cookbook: z.string().describe('Cookbook name'),
+      ...pageParams(),
     },
   },
-  async ({ cookbook }) => {
+  async ({ cookbook, ...page }) => {
     try {
       const recipes = await library.getCookbookRecipes(cookbook);
       return {
         content: [{
           type: 'text',
-          text: JSON.stringify(recipes, null, 2),
+          text: JSON.stringify({ cookbook, ...paginateObject('recipes', recipes, page) }, null, 2),
         }],
       };
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: error.message,
-        }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -337,17 +372,18 @@ server.registerTool(
     title: 'Search Recipes',
     description: 'Search recipes by query, region, or cookbook',
     inputSchema: {
-      query: z.string().optional().describe('Search query'),
+      query: z.string().optional().describe('Search query, e.g. title:khao -soi (fields: title, thai, transcription, region, cookbook, lang)'),
       region: z.string().optional().describe('Thai region'),
       cookbook: z.string().optional().describe('Cookbook name'),
+      ...pageParams(),
     },
   },
-  async (params) => {
-    const results = await library.searchRecipes(params);
+  async ({ cursor, limit, ...params }) => {
+    const { recipes } = await library.searchRecipes(params);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify(paginate('recipes', recipes, { cursor, limit }), null, 2),
       }],
     };
   }
@@ -373,13 +409,7 @@ server.registerTool(
         }],
       };
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: error.message,
-        }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -391,14 +421,15 @@ server.registerTool(
     description: 'Get all recipes from a specific Thai region',
     inputSchema: {
       region: z.string().describe('Thai region (central, north, isaan, south)'),
+      ...pageParams(),
     },
   },
-  async ({ region }) => {
-    const results = await library.getRecipesByRegion(region);
+  async ({ region, ...page }) => {
+    const { recipes } = await library.getRecipesByRegion(region);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify({ region, ...paginate('recipes', recipes, page) }, null, 2),
       }],
     };
   }
@@ -430,18 +461,18 @@ server.registerTool(
   'search_encyclopedia',
   {
     title: 'Search Encyclopedia',
-    description: 'Search the Thai food encyclopedia',
+    description: 'Search the Thai food encyclopedia, most relevant entries first (with score and matchedFields)',
     inputSchema: {
-      query: z.string().describe('Search query'),
-      limit: z.number().optional().describe('Maximum number of results (default: 20)'),
+      query: z.string().describe('Search query, e.g. tag:curry region:isaan -pork (fields: name, thai, transcription, tag, region, summary, description, lang)'),
+      ...pageParams(20),
     },
   },
-  async ({ query, limit }) => {
-    const results = await encyclopedia.searchEntries(query, limit || 20);
+  async ({ query, ...page }) => {
+    const results = await encyclopedia.searchEntries(query);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify(paginate('entries', results, page, 20), null, 2),
       }],
     };
   }
@@ -454,15 +485,15 @@ server.registerTool(
     description: 'Get encyclopedia entries from a specific Thai region',
     inputSchema: {
       region: z.string().describe('Thai region'),
-      limit: z.number().optional().describe('Maximum number of results (default: 20)'),
+      ...pageParams(20),
     },
   },
-  async ({ region, limit }) => {
-    const results = await encyclopedia.getEntriesByRegion(region, limit || 20);
+  async ({ region, ...page }) => {
+    const results = await encyclopedia.getEntriesByRegion(region);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify(paginate('entries', results, page, 20), null, 2),
       }],
     };
   }
@@ -475,15 +506,15 @@ server.registerTool(
     description: 'Get encyclopedia entries with a specific tag',
     inputSchema: {
       tag: z.string().describe('Tag name'),
-      limit: z.number().optional().describe('Maximum number of results (default: 20)'),
+      ...pageParams(20),
     },
   },
-  async ({ tag, limit }) => {
-    const results = await encyclopedia.getEntriesByTag(tag, limit || 20);
+  async ({ tag, ...page }) => {
+    const results = await encyclopedia.getEntriesByTag(tag);
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify(paginate('entries', results, page, 20), null, 2),
       }],
     };
   }
@@ -493,17 +524,17 @@ server.registerTool(
   'get_all_encyclopedia_entries',
   {
     title: 'Get All Encyclopedia Entries',
-    description: 'Get all encyclopedia entries (up to limit)',
+    description: 'Get all encyclopedia entries, page by page',
     inputSchema: {
-      limit: z.number().optional().describe('Maximum number of results (default: 100)'),
+      ...pageParams(100),
     },
   },
-  async ({ limit }) => {
-    const results = await encyclopedia.getAllEntries(limit || 100);
+  async (page) => {
+    const results = await encyclopedia.getAllEntries();
     return {
       content: [{
         type: 'text',
-        text: JSON.stringify(results, null, 2),
+        text: JSON.stringify(paginate('entries', results, page, 100), null, 2),
       }],
     };
   }
@@ -545,6 +576,221 @@ server.registerTool(
   }
 );
 
+server.registerTool(
+  'get_related_entries',
+  {
+    title: 'Get Related Encyclopedia Entries',
+    description: 'Walk the encyclopedia relationships (uses, usedBy, fits, fittedBy, variations, variationOf) from an entry, e.g. from a curry paste via usedBy to all dishes using it. Returns the related entries with their distance and the labelled edges',
+    inputSchema: {
+      entry: z.string().describe('Thai name, alternative name, transcription or URL of the entry'),
+      types: z.array(z.enum(encyclopedia.RELATIONSHIP_NAMES)).optional().describe('Relationship types to follow (default: all)'),
+      depth: z.number().int().min(1).max(encyclopedia.MAX_RELATION_DEPTH).optional().describe('Steps from the entry (default: 1)'),
+      language: z.enum(['de', 'en']).optional().describe('Language of the edge labels (default: en)'),
+    },
+  },
+  async ({ entry, types, depth, language }) => {
+    try {
+      const related = await encyclopedia.getRelatedEntries(entry, { types, depth, language });
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(related, null, 2),
+        }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+server.registerTool(
+  'export_encyclopedia_graph',
+  {
+    title: 'Export Encyclopedia Graph',
+    description: 'Export the encyclopedia relationships (how dishes, pastes and ingredients connect) as a Mermaid, Graphviz DOT or GraphML graph, optionally only for a region, a tag or the entries around one entry',
+    inputSchema: {
+      format: z.enum(encyclopedia.GRAPH_FORMAT_NAMES).optional().describe('Graph format (default: mermaid)'),
+      region: z.string().optional().describe('Only entries of this region'),
+      tag: z.string().optional().describe('Only entries with this tag'),
+      entry: z.string().optional().describe('Only this entry and the entries related to it'),
+      depth: z.number().int().min(1).max(encyclopedia.MAX_RELATION_DEPTH).optional().describe('Steps from entry (default: 1)'),
+      types: z.array(z.enum(encyclopedia.RELATIONSHIP_NAMES)).optional().describe('Relationship types (default: all)'),
+      language: z.enum(['de', 'en']).optional().describe('Language of the node and edge labels (default: en)'),
+    },
+  },
+  async (options) => {
+    try {
+      const { graph } = await encyclopedia.exportRelationshipGraph(options);
+      return {
+        content: [{
+          type: 'text',
+          text: graph,
+        }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+server.registerTool(
+  'check_encyclopedia_relationships',
+  {
+    title: 'Check Encyclopedia Relationships',
+    description: 'Check the encyclopedia relationship links: links to no entry (dangling), links without the reverse link (missing_inverse), links of an entry to itself (self_reference) and different links in German and English (language_mismatch)',
+    inputSchema: {
+      kind: z.enum(encyclopedia.RELATIONSHIP_ISSUE_KINDS).optional().describe('Only list issues of this kind'),
+      ...pageParams(),
+    },
+  },
+  async ({ kind, ...page }) => {
+    const { issues, ...summary } = await encyclopedia.checkRelationships();
+    const listed = kind ? issues.filter((issue) => issue.kind === kind) : issues;
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({ ...summary, ...paginate('issues', listed, page) }, null, 2),
+      }],
+    };
+  }
+);
+
+// ============================================================================
+// CROSS-DATASET TOOLS
+// ============================================================================
+
+server.registerTool(
+  'search_everything',
+  {
+    title: 'Search Everything',
+    description:
+      'Search the dictionary, encyclopedia, recipes and cookbooks at once. Returns ranked results grouped by type, each with a label, a stable ref and the tool call (followUp) that fetches the full record',
+    inputSchema: {
+      query: z.string().describe('Search term or query, e.g. "khao soi" or kaeng OR curry -pork'),
+      limit: z.number().int().min(1).max(50).optional().describe('Maximum number of results per type, 1-50 (default: 5)'),
+      lang: z.enum(['de', 'en']).optional().describe('Language of the labels (default: en)'),
+    },
+  },
+  async ({ query, limit, lang }) => {
+    const results = await searchEverything(query, { limit: limit || 5, lang: lang || 'en' });
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(results, null, 2),
+      }],
+    };
+  }
+);
+
+server.registerTool(
+  'resolve_url',
+  {
+    title: 'Resolve URL',
+    description:
+      'Find the encyclopedia entry, library recipe or book a link belongs to. Accepts site links and paths, Google-Translate-wrapped pages, YouTube links and Amazon short links in any of their forms',
+    inputSchema: {
+      url: z.string().describe('The link, e.g. "https://www.ahaan-thai.de/rezepte/miang-kham/", "/youtube/abc123" or "https://youtu.be/abc123"'),
+      lang: z.enum(['de', 'en']).optional().describe('Language of the labels (default: en)'),
+    },
+  },
+  async ({ url, lang }) => {
+    try {
+      const resolved = await resolveUrl(url, { lang: lang || 'en' });
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(resolved, null, 2),
+        }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// ============================================================================
+// DATA QUALITY TOOLS
+// ============================================================================
+
+server.registerTool(
+  'get_data_quality_report',
+  {
+    title: 'Get Data Quality Report',
+    description: 'List malformed upstream records that were quarantined when loading the datasets',
+    inputSchema: {
+      dataset: z.enum(['dictionary', 'books', 'library', 'encyclopedia']).optional().describe('Only report this dataset'),
+    },
+  },
+  async ({ dataset }) => {
+    const names = dataset ? [dataset] : Object.keys(datasetModules);
+    const reports = await Promise.all(names.map((name) => datasetModules[name].getDataQualityReport()));
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(reports, null, 2),
+      }],
+    };
+  }
+);
+
+server.registerTool(
+  'get_recent_changes',
+  {
+    title: 'Get Recent Changes',
+    description: 'List dictionary terms, cookbooks, recipes and encyclopedia entries that were added, removed or modified upstream',
+    inputSchema: {
+      since: z.string().optional().describe('Only changes detected at or after this ISO date (e.g. "2025-01-31")'),
+      dataset: z.enum(['dictionary', 'books', 'library', 'encyclopedia']).optional().describe('Only changes of this dataset'),
+      ...pageParams(),
+    },
+  },
+  async ({ since, dataset, ...page }) => {
+    try {
+      const changes = await getRecentChanges({ since, dataset });
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(paginate('changes', changes, page), null, 2),
+        }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// ============================================================================
+// RESOURCE TEMPLATES
+// ============================================================================
+
+// Their arguments (category, cookbook, recipe_key, tag, region, language,
+// author, publisher) are completed from the live data via completion/complete
+for (const template of RESOURCE_TEMPLATES) {
+  const complete = Object.fromEntries(
+    Object.keys(template.complete).map((argument) => [
+      argument,
+      (value, context) => completeArgument(template, argument, value, context?.arguments),
+    ])
+  );
+
+  server.registerResource(
+    template.name,
+    new ResourceTemplate(template.uriTemplate, { list: undefined, complete }),
+    {
+      title: template.title,
+      description: template.description,
+      mimeType: 'application/json',
+    },
+    async (uri, variables) => ({
+      contents: [{
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify(await template.read(decodeVariables(variables)), null, 2),
+      }],
+    })
+  );
+}
+
 // ============================================================================
 // HTTP SERVER SETUP
 // ============================================================================
@@ -569,14 +815,189 @@ app.use((req, res, next) => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const circuitBreakers = getCircuitBreakerStates();
+  const degraded = Object.values(circuitBreakers).some((breaker) => breaker.state !== 'closed');
+
   res.json({
-    status: 'ok',
+    status: degraded ? 'degraded' : 'ok',
     timestamp: new Date().toISOString(),
     server: 'ahaan-thai',
     version: '1.0.0',
+    cache: Object.fromEntries(
+      Object.entries(datasetModules).map(([name, module]) => [name, module.getCacheInfo()])
+    ),
+    circuitBreakers,
+  });
+});
+
+// Dataset changes detected upstream, e.g. /changes?since=2025-01-31&dataset=dictionary
+app.get('/changes', async (req, res, next) => {
+  const { since, dataset } = req.query;
+  if (dataset && !Object.keys(datasetModules).includes(dataset)) {
+    return res.status(400).json({ error: `Query parameter "dataset" must be one of: ${Object.keys(datasetModules).join(', ')}` });
+  }
+  if (since && (typeof since !== 'string' || Number.isNaN(Date.parse(since)))) {
+    return res.status(400).json({ error: 'Query parameter "since" must be an ISO date like 2025-01-31 or 2025-01-31T12:00:00Z' });
+  }
+
+  try {
+    res.json({ changes: await getRecentChanges({ since, dataset }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Search across all datasets, e.g. /search?q=khao%20soi&limit=3&lang=de
+app.get('/search', async (req, res, next) => {
+  const { q, limit, lang = 'en' } = req.query;
+  if (typeof q !== 'string' || q.trim() === '') {
+    return res.status(400).json({ error: 'Query parameter "q" is required' });
+  }
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= 50)) {
+    return res.status(400).json({ error: 'Query parameter "limit" must be a whole number from 1 to 50' });
+  }
+  if (!['de', 'en'].includes(lang)) {
+    return res.status(400).json({ error: 'Query parameter "lang" must be "de" or "en"' });
+  }
+
+  try {
+    res.json(await searchEverything(q, { limit: limit === undefined ? 5 : Number(limit), lang }));
+  } catch (error) {
+    if (error instanceof QueryParseError) {
+      error.status = 400;
+    }
+    next(error);
+  }
+});
+
+// Records a link belongs to, e.g. /resolve?url=https%3A%2F%2Fyoutu.be%2Fabc123
+app.get('/resolve', async (req, res, next) => {
+  const { url, lang = 'en' } = req.query;
+  if (typeof url !== 'string' || !canonicalizeUrl(url)) {
+    return res.status(400).json({ error: 'Query parameter "url" must be an http(s) URL or site path' });
+  }
+  if (!['de', 'en'].includes(lang)) {
+    return res.status(400).json({ error: 'Query parameter "lang" must be "de" or "en"' });
+  }
+
+  try {
+    res.json(await resolveUrl(url, { lang }));
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json(error);
+    }
+    next(error);
+  }
+});
+
+// Encyclopedia relationships as a graph document, e.g. /encyclopedia/graph?format=dot&region=isaan
+app.get('/encyclopedia/graph', async (req, res, next) => {
+  const { format = 'mermaid', region, tag, entry, depth, types, lang = 'en' } = req.query;
+  if (!encyclopedia.GRAPH_FORMAT_NAMES.includes(format)) {
+    return res.status(400).json({ error: `Query parameter "format" must be one of: ${encyclopedia.GRAPH_FORMAT_NAMES.join(', ')}` });
+  }
+  if (!['de', 'en'].includes(lang)) {
+    return res.status(400).json({ error: 'Query parameter "lang" must be "de" or "en"' });
+  }
+  for (const [name, value] of Object.entries({ region, tag, entry })) {
+    if (value !== undefined && typeof value !== 'string') {
+      return res.status(400).json({ error: `Query parameter "${name}" must be given once` });
+    }
+  }
+  if (
+    depth !== undefined &&
+    !(/^\d+$/.test(depth) && Number(depth) >= 1 && Number(depth) <= encyclopedia.MAX_RELATION_DEPTH)
+  ) {
+    return res.status(400).json({ error: `Query parameter "depth" must be a whole number from 1 to ${encyclopedia.MAX_RELATION_DEPTH}` });
+  }
+  const typeList = types ? String(types).split(',') : encyclopedia.RELATIONSHIP_NAMES;
+  const unknown = typeList.filter((type) => !encyclopedia.RELATIONSHIP_NAMES.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown relationship type(s): ${unknown.join(', ')}` });
+  }
+
+  try {
+    const result = await encyclopedia.exportRelationshipGraph({
+      format,
+      region,
+      tag,
+      entry,
+      depth: depth === undefined ? 1 : Number(depth),
+      types: typeList,
+      language: lang,
+    });
+    res.type(result.mimeType).send(result.graph);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json(error);
+    }
+    next(error);
+  }
+});
+
+// Readiness endpoint - 200 only once every dataset has data
+app.get('/ready', (req, res) => {
+  const datasets = Object.fromEntries(
+    Object.entries(datasetModules).map(([name, module]) => [name, module.getLoadStatus()])
+  );
+  const ready = Object.values(datasets).every((dataset) => dataset.status === 'ready');
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    datasets,
   });
 });
 
+// Admin endpoints require "Authorization: Bearer <AHAAN_THAI_ADMIN_TOKEN>"
+function requireAdmin(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled, set AHAAN_THAI_ADMIN_TOKEN to enable them' });
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  // Compare hashes, so the comparison takes the same time for every token length
+  const digest = (value) => createHash('sha256').update(value || '').digest();
+  if (scheme !== 'Bearer' || !timingSafeEqual(digest(token), digest(config.admin.token))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+  next();
+}
+
+// Force a reload of all or the given datasets, e.g. {"datasets": ["dictionary"]}
+app.post('/admin/refresh', requireAdmin, async (req, res, next) => {
+  const requested = req.body?.datasets ?? (req.body?.dataset ? [req.body.dataset] : Object.keys(datasetModules));
+  const names = Array.isArray(requested) ? requested : [requested];
+  const unknown = names.filter((name) => typeof name !== 'string' || !Object.hasOwn(datasetModules, name));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown dataset(s): ${unknown.map((name) => JSON.stringify(name)).join(', ')}. Available: ${Object.keys(datasetModules).join(', ')}`,
+    });
+  }
+
+  try {
+    const results = await Promise.allSettled(names.map((name) => datasetModules[name].refreshData()));
+    const datasets = Object.fromEntries(
+      names.map((name, index) => [
+        name,
+        results[index].status === 'fulfilled'
+          ? { status: 'refreshed', ...results[index].value }
+          : { status: 'failed', error: results[index].reason.message },
+      ])
+    );
+    const failed = results.filter((result) => result.status === 'rejected').length;
+
+    res.status(failed > 0 ? 502 : 200).json({
+      status: failed === 0 ? 'ok' : failed < names.length ? 'partial' : 'failed',
+      timestamp: new Date().toISOString(),
+      datasets,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Root endpoint - Info about MCP server
 app.get('/', (req, res) => {
   res.json({
@@ -585,9 +1006,15 @@ app.get('/', (req, res) => {
     description: 'MCP server for Thai food data - Dictionary, Cookbooks, Library, and Encyclopedia',
     mcp_endpoint: '/mcp',
     health_endpoint: '/health',
+    ready_endpoint: '/ready',
+    changes_endpoint: '/changes',
+    search_endpoint: '/search?q=',
+    graph_endpoint: '/encyclopedia/graph?format=mermaid',
+    resolve_endpoint: '/resolve?url=',
+    admin_refresh_endpoint: 'POST /admin/refresh',
     protocol: 'MCP (Model Context Protocol)',
     transport: 'Streamable HTTP',
-    tools_count: 26,
+    tools_count: 30,
     documentation: 'https://github.com/yourusername/ahaan-thai-mcp-server',
   });
 });
@@ -639,12 +1066,43 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Load all datasets in parallel, so the first MCP request does not pay for the downloads.
+// Failed datasets are retried until they are loaded, otherwise /ready would never turn green.
+const PREWARM_RETRY_INTERVAL = 30 * 1000;
+const prewarmLoads = {
+  dictionary: dictionary.fetchDictionary,
+  books: bookInfo.fetchBooks,
+  library: library.fetchLibrary,
+  encyclopedia: encyclopedia.fetchEncyclopedia,
+};
+
+async function prewarm(names = Object.keys(prewarmLoads)) {
+  const results = await Promise.allSettled(names.map((name) => prewarmLoads[name]()));
+  const failed = [];
+
+  names.forEach((name, index) => {
+    if (results[index].status === 'fulfilled') {
+      console.log(`✓ Prewarmed ${name}`);
+    } else {
+      failed.push(name);
+      console.error(`✗ Prewarming ${name} failed: ${results[index].reason.message}`);
+    }
+  });
+
+  if (failed.length > 0) {
+    setTimeout(() => prewarm(failed), PREWARM_RETRY_INTERVAL).unref();
+  }
+}
+
 // Start server
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 app.listen(PORT, () => {
   console.log(`\n🚀 Ahaan Thai MCP Server running on http://localhost:${PORT}`);
   console.log(`📚 MCP Endpoint: http://localhost:${PORT}/mcp`);
-  console.log(`💚 Health Check: http://localhost:${PORT}/health\n`);
+  console.log(`💚 Health Check: http://localhost:${PORT}/health`);
+  console.log(`🚦 Readiness: http://localhost:${PORT}/ready`);
+  console.log(`🌐 Upstream: ${config.upstream.baseUrl}\n`);
+  prewarm();
 }).on('error', (error) => {
   console.error('Server error:', error);
   process.exit(1);
@@ -3,40 +3,128 @@
  * Shared logic for both MCP and REST API
  */
 
-import { Cache } from './cache.js';
+import { config } from './config.js';
+import { DatasetLoader } from './dataset-loader.js';
+import { NotFoundError } from './errors.js';
+import { findClosest } from './fuzzy-match.js';
+import { compactIsbn, parseIsbn, toIsbn13 } from './isbn.js';
+import { getQueryFields, searchIndex } from './query-language.js';
+import { SearchIndex } from './search-index.js';
 
-const API_URL = 'https://www.ahaan-thai.de/api/thai-cook-book-info.json';
-const AMAZON_URL_PREFIX = 'https://amzn.to/';
-const cache = new Cache(5 * 60 * 1000); // 5 minutes
+export const DATASET = 'books';
 
 function processBookData(book) {
   const processedBook = { ...book };
 
   // Handle Amazon URL transformation
   if (book.shop === 'amazon' && book.target && book.target.trim() !== '') {
-    processedBook.url = AMAZON_URL_PREFIX + book.target;
+    processedBook.url = config.upstream.amazonUrlPrefix + book.target;
     delete processedBook.target;
   }
 
   return processedBook;
 }
 
-export async function fetchBooks() {
-  const cached = cache.get();
-  if (cached) {
-    return cached;
+// Title and author matches count more than mentions in the texts
+const SEARCH_FIELDS = [
+  { path: 'title', weight: 4, get: (book) => book.title },
+  { path: 'author', weight: 4, get: (book) => book.author },
+  { path: 'description', weight: 1, fuzzy: false, get: (book) => book.description },
+  { path: 'text', weight: 1, fuzzy: false, get: (book) => book.text },
+];
+
+const sameValue = (value, expected) => String(value ?? '').toLowerCase() === expected.toLowerCase();
+
+// Same book in any ISBN form; malformed ISBNs only compare as written (without hyphens)
+function sameIsbn(value, expected) {
+  if (value == null || value === '') {
+    return false;
   }
+  const isbn13 = toIsbn13(value);
+  return isbn13 ? isbn13 === toIsbn13(expected) : compactIsbn(value) === compactIsbn(expected);
+}
 
-  const response = await fetch(API_URL);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+// Field prefixes of the query language (see query-language.js)
+const QUERY_OPTIONS = {
+  fields: {
+    title: { paths: ['title'] },
+    author: { paths: ['author'] },
+    description: { paths: ['description', 'text'] },
+    lang: { match: (book, value) => sameValue(book.lang, value) },
+    level: { match: (book, value) => sameValue(book.level, value) },
+    year: { match: (book, value) => sameValue(book.year, value) },
+    publisher: { match: (book, value) => String(book.publisher ?? '').toLowerCase().includes(value.toLowerCase()) },
+    isbn: { match: (book, value) => sameIsbn(book.isbn, value) },
+  },
+};
+
+export const QUERY_FIELDS = getQueryFields(QUERY_OPTIONS);
+
+const loader = new DatasetLoader(DATASET, {
+  transform: (rawBooks) => rawBooks.map(book => processBookData(book)),
+  index: (books) => new SearchIndex(books, SEARCH_FIELDS),
+});
+
+// Books by ISBN-13 and the problems of the stored ISBNs, once per loaded data
+const isbnIndexes = new WeakMap();
+
+function getIsbnIndex(books) {
+  if (isbnIndexes.has(books)) {
+    return isbnIndexes.get(books);
   }
 
-  const rawBooks = await response.json();
-  const books = rawBooks.map(book => processBookData(book));
+  const byIsbn13 = new Map();
+  // Books with a malformed ISBN can still be looked up as it is written
+  const byCompact = new Map();
+  const problems = [];
 
-  cache.set(books);
-  return books;
+  for (const book of books) {
+    if (book.isbn == null || book.isbn === '') {
+      continue;
+    }
+    try {
+      const { isbn13 } = parseIsbn(book.isbn);
+      const duplicate = byIsbn13.get(isbn13);
+      if (duplicate) {
+        problems.push({ title: book.title, isbn: String(book.isbn), problem: `same ISBN as "${duplicate.title}"` });
+      } else {
+        byIsbn13.set(isbn13, book);
+      }
+    } catch (error) {
+      problems.push({ title: book.title, isbn: String(book.isbn), problem: error.problem });
+      byCompact.set(compactIsbn(book.isbn), book);
+    }
+  }
+
+  const index = { byIsbn13, byCompact, problems };
+  isbnIndexes.set(books, index);
+  return index;
+}
+
+export async function fetchBooks() {
+  return await loader.load();
+}
+
+export function getCacheInfo() {
+  return loader.getCacheInfo();
+}
+
+export function getLoadStatus() {
+  return loader.getStatus();
+}
+
+export async function refreshData() {
+  return await loader.refresh();
+}
+
+/**
+ * Quarantined books, plus `isbnProblems`: books kept despite a malformed
+ * or duplicate ISBN ({ title, isbn, problem })
+ */
+export async function getDataQualityReport() {
+  const report = await loader.getQualityReport();
+  const { problems } = getIsbnIndex(await fetchBooks());
+  return report && { ...report, isbnProblems: problems };
 }
 
 export async function listBooks() {
@@ -55,19 +143,22 @@ export async function listBooks() {
   }));
 }
 
+/**
+ * Index matches of a query, best first, as returned by SearchIndex.search
+ * (used by the cross-dataset search)
+ */
+export async function findMatches(searchTerm) {
+  const index = await loader.loadIndex();
+  return searchIndex(index, searchTerm, { ...QUERY_OPTIONS, rankBy: 'quality' });
+}
+
 export async function searchBooks(filters = {}) {
-  const books = await fetchBooks();
-  let filteredBooks = [...books];
+  const index = await loader.loadIndex();
+  let filteredBooks = [...index.records];
 
-  // Text search in title, author, and description
+  // Text search in title, author, description and text, most relevant first
   if (filters.query) {
-    const query = filters.query.toLowerCase();
-    filteredBooks = filteredBooks.filter(book =>
-      (book.title && book.title.toLowerCase().includes(query)) ||
-      (book.author && book.author.toLowerCase().includes(query)) ||
-      (book.description && book.description.toLowerCase().includes(query)) ||
-      (book.text && book.text.toLowerCase().includes(query))
-    );
+    filteredBooks = searchIndex(index, filters.query, QUERY_OPTIONS).map(({ record }) => record);
   }
 
   // Language filter
@@ -118,15 +209,38 @@ export async function searchBooks(filters = {}) {
   }));
 }
 
+/**
+ * Book by ISBN-10 or ISBN-13, with or without hyphens and spaces
+ * Throws InvalidIsbnError for a malformed ISBN, NotFoundError with the
+ * closest stored ISBNs if no book has it.
+ * @returns {Promise<object>} The book, plus its isbn13 if the stored ISBN is valid
+ */
 export async function getBookByIsbn(isbn) {
   const books = await fetchBooks();
-  const book = books.find(b => b.isbn === isbn);
+  const { byIsbn13, byCompact } = getIsbnIndex(books);
+
+  const stored = byCompact.get(compactIsbn(isbn));
+  if (stored) {
+    return stored;
+  }
+
+  const { isbn13 } = parseIsbn(isbn);
+  const book = byIsbn13.get(isbn13);
 
   if (!book) {
-    throw new Error(`No book found with ISBN: ${isbn}`);
+    throw new NotFoundError(`No book found with ISBN: ${isbn}.`, {
+      argument: 'isbn',
+      value: isbn,
+      suggestions: findClosest(
+        isbn13,
+        books
+          .filter((b) => b.isbn)
+          .map((b) => ({ value: String(b.isbn), texts: [toIsbn13(b.isbn) ?? compactIsbn(b.isbn)], label: b.title }))
+      ),
+    });
   }
 
-  return book;
+  return { ...book, isbn13 };
 }
 
 export async function getBooksByAuthor(authorName) {
@@ -137,7 +251,12 @@ export async function getBooksByAuthor(authorName) {
   );
 
   if (authorBooks.length === 0) {
-    throw new Error(`No books found for author: ${authorName}`);
+    const authors = [...new Set(books.map((book) => book.author).filter(Boolean))];
+    throw new NotFoundError(`No books found for author: ${authorName}.`, {
+      argument: 'author',
+      value: authorName,
+      suggestions: findClosest(authorName, authors.map((author) => ({ value: author, texts: [author] }))),
+    });
   }
 
   return authorBooks;
@@ -155,6 +274,24 @@ export async function getBooksByLanguage(language) {
   return languageBooks;
 }
 
+// Distinct values of a book field, in order of appearance
+async function getDistinctValues(field) {
+  const books = await fetchBooks();
+  return [...new Set(books.map((book) => book[field]).filter(Boolean).map(String))];
+}
+
+export async function getLanguages() {
+  return await getDistinctValues('lang');
+}
+
+export async function getAuthors() {
+  return await getDistinctValues('author');
+}
+
+export async function getPublishers() {
+  return await getDistinctValues('publisher');
+}
+
 export async function getBookStatistics() {
   const books = await fetchBooks();
 
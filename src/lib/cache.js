@@ -1,31 +1,224 @@
 /**
- * Simple cache implementation with TTL support
+ * Cache implementation with TTL and stale-while-revalidate support
  */
+import { logError } from './logger.js';
+
 export class Cache {
-  constructor(ttl = 5 * 60 * 1000) {
+  /**
+   * @param {number} ttl - Time in ms the data is considered fresh
+   * @param {object} [options]
+   * @param {number} [options.maxStale] - Time in ms after expiry during which stale
+   *   data is still served while it is refreshed in the background
+   * @param {import('./disk-cache.js').DiskCacheStore|null} [options.store] - Optional
+   *   persistent tier shared with other processes
+   */
+  constructor(ttl = 5 * 60 * 1000, { maxStale = 24 * 60 * 60 * 1000, store = null } = {}) {
     this.ttl = ttl;
+    this.maxStale = maxStale;
+    this.store = store;
     this.data = null;
     this.timestamp = null;
+    this.fetchedAt = null;
+    this.etag = null;
+    this.lastModified = null;
+    this.meta = null;
+    this.refreshing = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
   }
 
   get() {
-    if (this.data && this.timestamp && Date.now() - this.timestamp < this.ttl) {
+    if (this.isValid()) {
       return this.data;
     }
     return null;
   }
 
-  set(data) {
+  // Returns the cached data regardless of its age
+  getStale() {
+    return this.data;
+  }
+
+  /**
+   * @param {any} data
+   * @param {object} [options]
+   * @param {string|null} [options.etag] - Validator for conditional requests
+   * @param {string|null} [options.lastModified] - Validator for conditional requests
+   * @param {object|null} [options.meta] - Extra information stored and persisted with the data
+   */
+  set(data, { etag = null, lastModified = null, meta = null } = {}) {
     this.data = data;
     this.timestamp = Date.now();
+    this.fetchedAt = this.timestamp;
+    this.etag = etag;
+    this.lastModified = lastModified;
+    this.meta = meta;
+  }
+
+  // Marks the cached data as fresh again after upstream confirmed it is unchanged
+  touch() {
+    this.timestamp = Date.now();
   }
 
   clear() {
     this.data = null;
     this.timestamp = null;
+    this.fetchedAt = null;
+    this.etag = null;
+    this.lastModified = null;
+    this.meta = null;
   }
 
   isValid() {
     return this.data !== null && this.timestamp !== null && Date.now() - this.timestamp < this.ttl;
   }
+
+  isServableStale() {
+    return this.data !== null && this.timestamp !== null && Date.now() - this.timestamp < this.ttl + this.maxStale;
+  }
+
+  toEntry() {
+    return {
+      data: this.data,
+      fetchedAt: this.fetchedAt,
+      validatedAt: this.timestamp,
+      etag: this.etag,
+      lastModified: this.lastModified,
+      meta: this.meta,
+    };
+  }
+
+  /**
+   * Adopt the entry of the persistent store if it is newer than the data in memory.
+   * The file is only parsed again after another process has written it.
+   */
+  async hydrate() {
+    if (!this.store) {
+      return;
+    }
+
+    try {
+      const entry = await this.store.readIfChanged();
+      if (entry && entry.validatedAt && (this.timestamp === null || entry.validatedAt > this.timestamp)) {
+        this.data = entry.data;
+        this.fetchedAt = entry.fetchedAt;
+        this.timestamp = entry.validatedAt;
+        this.etag = entry.etag;
+        this.lastModified = entry.lastModified;
+        this.meta = entry.meta ?? null;
+      }
+    } catch (error) {
+      logError('Reading persistent cache failed:', error.message);
+    }
+  }
+
+  async persist() {
+    if (!this.store || this.data === null) {
+      return;
+    }
+
+    try {
+      await this.store.write(this.toEntry());
+    } catch (error) {
+      logError('Writing persistent cache failed:', error.message);
+    }
+  }
+
+  getMetadata() {
+    const now = Date.now();
+    return {
+      cached: this.data !== null,
+      fetchedAt: this.fetchedAt ? new Date(this.fetchedAt).toISOString() : null,
+      validatedAt: this.timestamp ? new Date(this.timestamp).toISOString() : null,
+      age: this.fetchedAt ? now - this.fetchedAt : null,
+      ttl: this.ttl,
+      stale: this.data !== null && !this.isValid(),
+      refreshing: this.refreshing !== null,
+      etag: this.etag,
+      lastModified: this.lastModified,
+      persistent: this.store !== null,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt ? new Date(this.lastErrorAt).toISOString() : null,
+    };
+  }
+
+  /**
+   * Run the loader with the current validators and store its result.
+   * The loader receives { etag, lastModified } (empty for unconditional
+   * loads) and resolves to either { notModified: true } or
+   * { data, etag, lastModified }. Concurrent calls share one refresh.
+   * With a persistent store the refresh runs under its lock, and is skipped
+   * when another process already refreshed the data in the meantime.
+   * A forced refresh always does a full, unconditional reload.
+   */
+  async revalidate(loader, { conditional = true, force = false } = {}) {
+    if (this.refreshing) {
+      if (!force) {
+        return this.refreshing;
+      }
+      // Let the running refresh finish, its result may already be outdated
+      await this.refreshing.catch(() => {});
+    }
+
+    this.refreshing = (async () => {
+      const unlock = this.store ? await this.store.lock() : null;
+      try {
+        if (!force) {
+          await this.hydrate();
+          if (this.isValid()) {
+            return this.data;
+          }
+        }
+
+        const validators =
+          conditional && !force && this.data !== null ? { etag: this.etag, lastModified: this.lastModified } : {};
+        const result = await loader(validators);
+        if (result.notModified && this.data !== null) {
+          this.touch();
+        } else {
+          this.set(result.data, result);
+        }
+        await this.persist();
+        return this.data;
+      } catch (error) {
+        this.lastError = error.message;
+        this.lastErrorAt = Date.now();
+        throw error;
+      } finally {
+        if (unlock) {
+          await unlock();
+        }
+        this.refreshing = null;
+      }
+    })();
+
+    return this.refreshing;
+  }
+
+  /**
+   * Get the cached data, loading it if necessary.
+   * Fresh data is returned directly, stale data is returned immediately while
+   * a background refresh is started, missing or too old data is awaited.
+   */
+  async load(loader) {
+    if (this.isValid()) {
+      return this.data;
+    }
+
+    // Another process may have refreshed the data already
+    await this.hydrate();
+    if (this.isValid()) {
+      return this.data;
+    }
+
+    if (this.isServableStale()) {
+      this.revalidate(loader).catch((error) => {
+        logError('Background cache refresh failed, serving stale data:', error.message);
+      });
+      return this.data;
+    }
+
+    // Too old to serve: do a full reload instead of a conditional request
+    return await this.revalidate(loader, { conditional: false });
+  }
 }
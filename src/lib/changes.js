@@ -0,0 +1,125 @@
+/**
+ * Dataset change detection
+ * Compares two versions of a raw dataset record by record and keeps a
+ * change log of added, removed and modified keys per dataset
+ */
+
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import path from 'path';
+import { config, getDatasetNames } from './config.js';
+
+// Stable key of every record, per dataset
+const recordKeys = {
+  dictionary: (data) =>
+    Object.entries(data || {}).flatMap(([category, entries]) =>
+      Object.entries(entries || {}).map(([thai, details]) => [`${category}/${thai}`, details])
+    ),
+  books: (data) =>
+    (data || []).map((book, index) => [book?.isbn ? String(book.isbn) : book?.title || `#${index}`, book]),
+  library: (data) =>
+    Object.entries(data || {}).flatMap(([cookbook, recipes]) =>
+      Object.entries(recipes || {}).map(([recipeKey, recipe]) => [`${cookbook}/${recipeKey}`, recipe])
+    ),
+  encyclopedia: (data) =>
+    (data || []).map((entry, index) => [entry?.thaiName || `#${index}`, entry]),
+};
+
+function toRecordMap(dataset, data) {
+  return new Map(recordKeys[dataset](data));
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Paths of the fields that differ, descending into nested objects (e.g. de.summary)
+function changedFields(before, after, prefix = '') {
+  const fields = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const a = before?.[key];
+    const b = after?.[key];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      fields.push(...changedFields(a, b, `${prefix}${key}.`));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      fields.push(`${prefix}${key}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Structured diff between two versions of the raw data of a dataset
+ */
+export function diffDatasets(dataset, previous, current) {
+  const before = toRecordMap(dataset, previous);
+  const after = toRecordMap(dataset, current);
+
+  const added = [...after.keys()].filter((key) => !before.has(key));
+  const removed = [...before.keys()].filter((key) => !after.has(key));
+  const modified = [];
+
+  for (const [key, record] of after) {
+    if (before.has(key) && JSON.stringify(before.get(key)) !== JSON.stringify(record)) {
+      modified.push({ key, fields: changedFields(before.get(key), record) });
+    }
+  }
+
+  return { added, removed, modified };
+}
+
+export function hasChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.modified.length > 0;
+}
+
+function getChangeLogFile(dataset) {
+  return path.join(config.snapshots.dir, 'changes', `${dataset}.jsonl`);
+}
+
+export async function appendChange(change) {
+  const file = getChangeLogFile(change.dataset);
+  await mkdir(path.dirname(file), { recursive: true });
+  await appendFile(file, JSON.stringify(change) + '\n');
+}
+
+async function readChangeLog(dataset) {
+  try {
+    const content = await readFile(getChangeLogFile(dataset), 'utf8');
+    return content
+      .split('\n')
+      .filter((line) => line.trim() !== '')
+      .map((line) => JSON.parse(line));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Recorded dataset changes, newest first
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO date or date-time; only changes detected at or after it
+ * @param {string} [options.dataset] - Only changes of this dataset
+ */
+export async function getRecentChanges({ since = null, dataset = null } = {}) {
+  const datasets = getDatasetNames();
+  if (dataset && !datasets.includes(dataset)) {
+    throw new Error(`Unknown dataset "${dataset}". Available: ${datasets.join(', ')}`);
+  }
+
+  let sinceTime = null;
+  if (since) {
+    sinceTime = Date.parse(since);
+    if (Number.isNaN(sinceTime)) {
+      throw new Error(`Invalid date "${since}". Use an ISO date like 2025-01-31 or 2025-01-31T12:00:00Z`);
+    }
+  }
+
+  const logs = await Promise.all((dataset ? [dataset] : datasets).map(readChangeLog));
+  return logs
+    .flat()
+    .filter((change) => sinceTime === null || Date.parse(change.detectedAt) >= sinceTime)
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+}
@@ -0,0 +1,97 @@
+/**
+ * Circuit breaker for upstream requests
+ * Opens after a number of consecutive failures and then fails fast until
+ * the reset timeout has passed, when a single trial request is let through
+ */
+
+import { UpstreamUnavailableError } from './errors.js';
+import { logError, logInfo } from './logger.js';
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Dataset the breaker protects
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the breaker
+   * @param {number} [options.resetTimeout] - Time in ms the breaker stays open
+   */
+  constructor(name, { failureThreshold = 5, resetTimeout = 30 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.trialInFlight = false;
+  }
+
+  getRetryAt() {
+    return this.openedAt ? new Date(this.openedAt + this.resetTimeout) : null;
+  }
+
+  async execute(fn) {
+    if (this.state === 'open') {
+      if (Date.now() < this.openedAt + this.resetTimeout) {
+        throw new UpstreamUnavailableError(this.name, this.getRetryAt(), this.lastError);
+      }
+      this.state = 'half-open';
+    }
+
+    // Only one trial request at a time, everyone else still fails fast
+    const trial = this.state === 'half-open';
+    if (trial) {
+      if (this.trialInFlight) {
+        throw new UpstreamUnavailableError(this.name, new Date(Date.now() + 1000), this.lastError);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onFailure(error);
+      throw error;
+    } finally {
+      // A call started before the breaker opened must not end the trial
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== 'closed') {
+      logInfo(`Circuit breaker for "${this.name}" closed again`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.lastFailureAt = Date.now();
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logError(
+        `Circuit breaker for "${this.name}" opened after ${this.failures} failure(s), retrying at ${this.getRetryAt().toISOString()}`
+      );
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      retryAt: this.state === 'open' ? this.getRetryAt().toISOString() : null,
+    };
+  }
+}
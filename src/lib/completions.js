@@ -0,0 +1,218 @@
+/**
+ * Resource templates with argument completion
+ * MCP completes the arguments of resource templates (and prompts), so every
+ * value agents tend to guess (categories, cookbooks, recipe keys, tags,
+ * regions, languages, authors, publishers) is an argument of a template
+ * here. The suggestions come from the live data of the logic modules.
+ * Used by the HTTP server and the stdio servers alike.
+ */
+
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+import * as bookInfo from './book-info-logic.js';
+import * as dictionary from './dictionary-logic.js';
+import * as encyclopedia from './encyclopedia-logic.js';
+import * as library from './library-logic.js';
+import { normalizeForSearch } from './thai-text.js';
+
+// Suggestions per request, as in McpServer
+const MAX_COMPLETIONS = 100;
+
+const cookbookNames = async () => (await library.listCookbooks()).map(({ name }) => name);
+
+export const RESOURCE_TEMPLATES = [
+  {
+    name: 'dictionary-category',
+    dataset: dictionary.DATASET,
+    uriTemplate: 'ahaan-thai://dictionary/category/{category}',
+    title: 'Dictionary Category',
+    description: 'All terms of a dictionary category',
+    complete: { category: () => dictionary.getCategories() },
+    read: ({ category }) => dictionary.getCategory(category),
+  },
+  {
+    name: 'cookbook-recipes',
+    dataset: library.DATASET,
+    uriTemplate: 'ahaan-thai://library/cookbook/{cookbook}',
+    title: 'Cookbook Recipes',
+    description: 'All recipes of a cookbook in the library',
+    complete: { cookbook: cookbookNames },
+    read: ({ cookbook }) => library.getCookbookRecipes(cookbook),
+  },
+  {
+    name: 'recipe',
+    dataset: library.DATASET,
+    uriTemplate: 'ahaan-thai://library/recipe/{cookbook}/{recipe_key}',
+    title: 'Recipe',
+    description: 'A recipe of a cookbook, recipe keys are completed for the chosen cookbook',
+    complete: {
+      cookbook: cookbookNames,
+      recipe_key: (args) => library.getRecipeKeys(args.cookbook || null),
+    },
+    read: ({ cookbook, recipe_key }) => library.getRecipeByKey(cookbook, recipe_key),
+  },
+  {
+    name: 'recipes-by-region',
+    dataset: library.DATASET,
+    uriTemplate: 'ahaan-thai://library/region/{region}',
+    title: 'Recipes by Region',
+    description: 'All recipes of a Thai region',
+    complete: { region: async () => (await library.getCookbookStats()).regions },
+    read: ({ region }) => library.getRecipesByRegion(region),
+  },
+  {
+    name: 'books-by-language',
+    dataset: bookInfo.DATASET,
+    uriTemplate: 'ahaan-thai://books/language/{language}',
+    title: 'Cookbooks by Language',
+    description: 'All cookbooks in a language',
+    complete: { language: () => bookInfo.getLanguages() },
+    read: ({ language }) => bookInfo.getBooksByLanguage(language),
+  },
+  {
+    name: 'books-by-author',
+    dataset: bookInfo.DATASET,
+    uriTemplate: 'ahaan-thai://books/author/{author}',
+    title: 'Cookbooks by Author',
+    description: 'All cookbooks of an author',
+    complete: { author: () => bookInfo.getAuthors() },
+    read: ({ author }) => bookInfo.getBooksByAuthor(author),
+  },
+  {
+    name: 'books-by-publisher',
+    dataset: bookInfo.DATASET,
+    uriTemplate: 'ahaan-thai://books/publisher/{publisher}',
+    title: 'Cookbooks by Publisher',
+    description: 'All cookbooks of a publisher',
+    complete: { publisher: () => bookInfo.getPublishers() },
+    read: ({ publisher }) => bookInfo.searchBooks({ publisher }),
+  },
+  {
+    name: 'encyclopedia-tag',
+    dataset: encyclopedia.DATASET,
+    uriTemplate: 'ahaan-thai://encyclopedia/tag/{tag}',
+    title: 'Encyclopedia Entries by Tag',
+    description: 'All encyclopedia entries with a tag',
+    complete: { tag: () => encyclopedia.getTags() },
+    read: ({ tag }) => encyclopedia.getEntriesByTag(tag),
+  },
+  {
+    name: 'encyclopedia-region',
+    dataset: encyclopedia.DATASET,
+    uriTemplate: 'ahaan-thai://encyclopedia/region/{region}',
+    title: 'Encyclopedia Entries by Region',
+    description: 'All encyclopedia entries of a region',
+    complete: { region: () => encyclopedia.getRegionNames() },
+    read: ({ region }) => encyclopedia.getEntriesByRegion(region),
+  },
+];
+
+/**
+ * Values matching what the user has typed so far: values starting with it
+ * first, then values with a word starting with it ("thom" -> "David
+ * Thompson", "street" -> "bangkok_original_streetfood"). Case and Thai
+ * spelling variants are ignored.
+ */
+export function rankCompletions(values, typed) {
+  const query = normalizeForSearch(typed || '');
+  if (!query) {
+    return values;
+  }
+
+  const prefixMatches = [];
+  const wordMatches = [];
+  for (const value of values) {
+    const text = normalizeForSearch(value);
+    if (text.startsWith(query)) {
+      prefixMatches.push(value);
+    } else if (text.split(/[\s_\-/]+/).some((word) => word.startsWith(query))) {
+      wordMatches.push(value);
+    }
+  }
+  return [...prefixMatches, ...wordMatches];
+}
+
+/**
+ * Suggestions for an argument of a resource template
+ * @param {object} template - One of RESOURCE_TEMPLATES
+ * @param {string} argument - Name of the argument
+ * @param {string} value - What was typed so far
+ * @param {object} [args] - Arguments already chosen, e.g. the cookbook of a recipe key
+ * @returns {Promise<string[]>}
+ */
+export async function completeArgument(template, argument, value, args = {}) {
+  const complete = template.complete[argument];
+  if (!complete) {
+    return [];
+  }
+  return rankCompletions(await complete(args), value);
+}
+
+/**
+ * Templates of the given datasets (default all), for servers of one dataset
+ */
+export function getResourceTemplates(datasets = null) {
+  return RESOURCE_TEMPLATES.filter((template) => !datasets || datasets.includes(template.dataset));
+}
+
+// Template variables are percent-encoded in the URI ("042%20Miang%20Kham")
+export function decodeVariables(variables) {
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, value]) => [name, decodeURIComponent(String(value))])
+  );
+}
+
+/**
+ * Template and decoded variables of a resource URI, or null if no template matches
+ */
+export function matchResourceTemplate(templates, uri) {
+  for (const template of templates) {
+    const variables = new UriTemplate(template.uriTemplate).match(uri);
+    if (variables) {
+      return { template, variables: decodeVariables(variables) };
+    }
+  }
+  return null;
+}
+
+/**
+ * resources/read result for a URI of one of the templates, or null if none matches
+ */
+export async function readResourceTemplate(templates, uri) {
+  const match = matchResourceTemplate(templates, uri);
+  if (!match) {
+    return null;
+  }
+  const data = await match.template.read(match.variables);
+  return {
+    contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }],
+  };
+}
+
+/**
+ * Result of a completion/complete request for the given templates, for the
+ * servers built on the low-level Server (McpServer does this itself)
+ */
+export async function getCompletion(templates, { ref, argument, context }) {
+  const template = ref.type === 'ref/resource' ? templates.find(({ uriTemplate }) => uriTemplate === ref.uri) : null;
+  const values = template ? await completeArgument(template, argument.name, argument.value, context?.arguments) : [];
+  return {
+    completion: {
+      values: values.slice(0, MAX_COMPLETIONS),
+      total: values.length,
+      hasMore: values.length > MAX_COMPLETIONS,
+    },
+  };
+}
+
+/**
+ * resources/templates/list entries of the given templates
+ */
+export function describeResourceTemplates(templates) {
+  return templates.map(({ name, uriTemplate, title, description }) => ({
+    name,
+    uriTemplate,
+    title,
+    description,
+    mimeType: 'application/json',
+  }));
+}
@@ -0,0 +1,146 @@
+/**
+ * Central configuration for all MCP servers
+ * Upstream hosts and dataset endpoints can be changed via environment
+ * variables or a JSON config file (AHAAN_THAI_CONFIG), environment wins
+ */
+
+import { readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_BASE_URL = 'https://www.ahaan-thai.de';
+
+const DATASET_PATHS = {
+  dictionary: '/api/thai-food-dictionary.json',
+  books: '/api/thai-cook-book-info.json',
+  library: '/api/thai-cook-book-library.json',
+  encyclopedia: '/api/thai-food-encyclopedia.json',
+};
+
+function readConfigFile(file) {
+  if (!file) {
+    return {};
+  }
+  try {
+    return JSON.parse(readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file "${file}": ${error.message}`);
+  }
+}
+
+function stripTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+function ensureTrailingSlash(url) {
+  return url.endsWith('/') ? url : url + '/';
+}
+
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+export function loadConfig(env = process.env) {
+  const file = readConfigFile(env.AHAAN_THAI_CONFIG);
+  const upstream = file.upstream || {};
+  const datasets = file.datasets || {};
+  const snapshots = file.snapshots || {};
+  const server = file.server || {};
+  const cache = file.cache || {};
+  const fetchOptions = file.fetch || {};
+  const circuitBreaker = file.circuitBreaker || {};
+  const admin = file.admin || {};
+
+  const baseUrl = stripTrailingSlash(env.AHAAN_THAI_BASE_URL || upstream.baseUrl || DEFAULT_BASE_URL);
+  const imageBaseUrl = ensureTrailingSlash(
+    env.AHAAN_THAI_IMAGE_BASE_URL || upstream.imageBaseUrl || 'https://bilder.koch-reis.de/'
+  );
+
+  return {
+    server: {
+      port: Number(env.PORT || server.port || 3000),
+    },
+    admin: {
+      // Bearer token for the /admin endpoints, which are disabled without one
+      token: env.AHAAN_THAI_ADMIN_TOKEN || admin.token || null,
+    },
+    upstream: {
+      // Host the dataset APIs are fetched from
+      baseUrl,
+      // Host relative site links (recipes, encyclopedia entries) are rewritten to
+      siteUrl: stripTrailingSlash(env.AHAAN_THAI_SITE_URL || upstream.siteUrl || baseUrl),
+      imageBaseUrl,
+      encyclopediaImageBaseUrl: ensureTrailingSlash(
+        env.AHAAN_THAI_ENCYCLOPEDIA_IMAGE_BASE_URL || upstream.encyclopediaImageBaseUrl || imageBaseUrl + 'media/'
+      ),
+      reiskochUrl: ensureTrailingSlash(
+        env.AHAAN_THAI_REISKOCH_URL || upstream.reiskochUrl || 'https://www.der-reiskoch.de/'
+      ),
+      amazonUrlPrefix: env.AHAAN_THAI_AMAZON_URL_PREFIX || upstream.amazonUrlPrefix || 'https://amzn.to/',
+    },
+    datasets: Object.fromEntries(
+      Object.entries(DATASET_PATHS).map(([name, apiPath]) => [
+        name,
+        {
+          url:
+            env[`AHAAN_THAI_${name.toUpperCase()}_URL`] ||
+            datasets[name]?.url ||
+            baseUrl + apiPath,
+        },
+      ])
+    ),
+    fetch: {
+      timeout: Number(env.AHAAN_THAI_FETCH_TIMEOUT || fetchOptions.timeout || 10) * 1000,
+      retries: Number(env.AHAAN_THAI_FETCH_RETRIES ?? fetchOptions.retries ?? 2),
+      retryBaseDelay: Number(fetchOptions.retryBaseDelay || 0.25) * 1000,
+      retryMaxDelay: Number(fetchOptions.retryMaxDelay || 5) * 1000,
+    },
+    circuitBreaker: {
+      failureThreshold: Number(env.AHAAN_THAI_BREAKER_THRESHOLD || circuitBreaker.failureThreshold || 5),
+      resetTimeout: Number(env.AHAAN_THAI_BREAKER_RESET || circuitBreaker.resetTimeout || 30) * 1000,
+    },
+    cache: {
+      // Time data is considered fresh, and how long it may be served stale while refreshing
+      ttl: Number(env.AHAAN_THAI_CACHE_TTL || cache.ttl || 5 * 60) * 1000,
+      maxStale: Number(env.AHAAN_THAI_CACHE_MAX_STALE || cache.maxStale || 24 * 60 * 60) * 1000,
+      // Disk tier shared by all server processes on this machine
+      diskEnabled: parseBoolean(env.AHAAN_THAI_DISK_CACHE ?? cache.disk, true),
+      dir: path.resolve(
+        env.AHAAN_THAI_CACHE_DIR || cache.dir || path.join(os.homedir(), '.cache', 'ahaan-thai-mcp')
+      ),
+    },
+    snapshots: {
+      // Per user like the disk cache, not relative to wherever a client starts the stdio servers
+      dir: path.resolve(
+        env.AHAAN_THAI_SNAPSHOT_DIR ||
+          snapshots.dir ||
+          path.join(os.homedir(), '.local', 'share', 'ahaan-thai-mcp', 'snapshots')
+      ),
+      offline: parseBoolean(env.AHAAN_THAI_OFFLINE ?? snapshots.offline),
+      // Snapshots kept per dataset, older ones are deleted when a new one is written
+      keep: Math.max(1, Number(env.AHAAN_THAI_SNAPSHOT_KEEP || snapshots.keep || 20)),
+      // Write a snapshot and a change log entry whenever a live fetch differs from the latest snapshot
+      trackChanges: parseBoolean(env.AHAAN_THAI_TRACK_CHANGES ?? snapshots.trackChanges, true),
+    },
+  };
+}
+
+export const config = loadConfig();
+
+export function getDatasetNames() {
+  return Object.keys(config.datasets);
+}
+
+export function getDatasetUrl(dataset) {
+  const datasetConfig = config.datasets[dataset];
+  if (!datasetConfig) {
+    throw new Error(`Unknown dataset "${dataset}". Available: ${getDatasetNames().join(', ')}`);
+  }
+  return datasetConfig.url;
+}
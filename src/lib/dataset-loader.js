@@ -0,0 +1,141 @@
+/**
+ * Dataset loader shared by all logic modules
+ * Wraps fetching (live or snapshot), transforming and caching of one
+ * upstream dataset, and coalesces concurrent loads into one request
+ */
+
+import { createHash } from 'crypto';
+import { Cache } from './cache.js';
+import { config } from './config.js';
+import { createDiskStore } from './disk-cache.js';
+import { logError } from './logger.js';
+import { validateDataset } from './schemas.js';
+import { fetchDataset } from './snapshot.js';
+
+export class DatasetLoader {
+  /**
+   * @param {string} name - Dataset name as configured in config.datasets
+   * @param {object} [options]
+   * @param {(raw: any) => any} [options.transform] - Turns the raw API JSON into the cached data
+   * @param {(data: any) => import('./search-index.js').SearchIndex} [options.index] - Builds the search index of the data
+   */
+  constructor(name, { transform = (data) => data, index = null } = {}) {
+    this.name = name;
+    this.transform = transform;
+    this.buildIndex = index;
+    this.index = null;
+    this.indexedData = null;
+    this.cache = new Cache(config.cache.ttl, {
+      maxStale: config.cache.maxStale,
+      store: createDiskStore(name),
+    });
+    this.inFlight = null;
+  }
+
+  async fetchUpstream(validators, options) {
+    const result = await fetchDataset(this.name, validators, options);
+    if (result.notModified) {
+      return result;
+    }
+
+    // Invalid records are dropped before the transform ever sees them
+    const { data, quality } = validateDataset(this.name, result.data);
+    if (quality && quality.quarantinedRecords > 0) {
+      logError(`Quarantined ${quality.quarantinedRecords} malformed record(s) of "${this.name}"`);
+    }
+
+    const contentHash = createHash('sha256').update(JSON.stringify(result.data)).digest('hex');
+    return {
+      ...result,
+      data: this.transform(data),
+      meta: { quality, contentHash, source: result.source },
+    };
+  }
+
+  /**
+   * Get the dataset. Concurrent callers on a cold or stale cache all
+   * await the same promise instead of starting their own load.
+   */
+  async load() {
+    const cached = this.cache.get();
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.inFlight) {
+      this.inFlight = this.cache
+        .load((validators) => this.fetchUpstream(validators))
+        .finally(() => {
+          this.inFlight = null;
+        });
+    }
+    return await this.inFlight;
+  }
+
+  /**
+   * Get the search index of the dataset, built once per loaded version of the data
+   */
+  async loadIndex() {
+    const data = await this.load();
+    if (this.indexedData !== data) {
+      this.index = this.buildIndex(data);
+      this.indexedData = data;
+    }
+    return this.index;
+  }
+
+  /**
+   * Reload the dataset now, ignoring cached data and validators. Only live
+   * data counts: if upstream fails, the cached data stays as it is.
+   */
+  async refresh() {
+    await this.cache.revalidate((validators) => this.fetchUpstream(validators, { fallback: false }), {
+      force: true,
+    });
+    const status = this.getStatus();
+
+    return {
+      dataset: this.name,
+      records: status.records,
+      contentHash: this.cache.meta?.contentHash ?? null,
+      source: this.cache.meta?.source ?? null,
+      fetchedAt: status.fetchedAt,
+    };
+  }
+
+  getCacheInfo() {
+    return this.cache.getMetadata();
+  }
+
+  /**
+   * Load state for readiness checks: idle (never loaded), loading, ready
+   * (data available, possibly stale) or error (last load failed, no data)
+   */
+  getStatus() {
+    const info = this.cache.getMetadata();
+    let status = 'idle';
+    if (info.cached) {
+      status = 'ready';
+    } else if (this.inFlight) {
+      status = 'loading';
+    } else if (info.lastError) {
+      status = 'error';
+    }
+
+    return {
+      status,
+      records: this.cache.meta?.quality?.validRecords ?? null,
+      fetchedAt: info.fetchedAt,
+      lastError: info.lastError,
+      lastErrorAt: info.lastErrorAt,
+    };
+  }
+
+  /**
+   * Report of the records quarantined when the current data was loaded
+   */
+  async getQualityReport() {
+    await this.load();
+    return this.cache.meta?.quality ?? null;
+  }
+}
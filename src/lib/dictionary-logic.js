@@ -3,25 +3,79 @@
  * Shared logic for both MCP and REST API
  */
 
-import { Cache } from './cache.js';
+import { DatasetLoader } from './dataset-loader.js';
+import { NotFoundError } from './errors.js';
+import { findClosest } from './fuzzy-match.js';
+import { MeaningIndex } from './meaning-index.js';
+import { getQueryFields, searchIndex } from './query-language.js';
+import { SearchIndex } from './search-index.js';
+import { normalizeForSearch, normalizeThai } from './thai-text.js';
+
+export const DATASET = 'dictionary';
+
+const SEARCH_FIELDS = ['thai', 'meaning_de', 'meaning_en', 'trans_de', 'trans_en'].map((path) => ({
+  path,
+  get: (entry) => entry[path],
+}));
+
+// Field prefixes of the query language (see query-language.js)
+const QUERY_OPTIONS = {
+  fields: {
+    thai: { paths: ['thai'] },
+    meaning: { paths: ['meaning_de', 'meaning_en'] },
+    trans: { paths: ['trans_de', 'trans_en'] },
+    category: { match: (entry, value) => entry.category.toLowerCase() === value.toLowerCase() },
+  },
+  languages: {
+    de: ['thai', 'meaning_de', 'trans_de'],
+    en: ['thai', 'meaning_en', 'trans_en'],
+  },
+};
+
+export const QUERY_FIELDS = getQueryFields(QUERY_OPTIONS);
+
+// One search record per term, shaped like the search results
+function buildSearchIndex(data) {
+  const entries = Object.entries(data).flatMap(([category, terms]) =>
+    Object.entries(terms).map(([thai, details]) => ({ category, thai, ...details }))
+  );
+  return new SearchIndex(entries, SEARCH_FIELDS);
+}
 
-const API_URL = 'https://www.ahaan-thai.de/api/thai-food-dictionary.json';
-const cache = new Cache(5 * 60 * 1000); // 5 minutes
+const loader = new DatasetLoader(DATASET, { index: buildSearchIndex });
 
-export async function fetchDictionary() {
-  const cached = cache.get();
-  if (cached) {
-    return cached;
-  }
+// Languages of the meanings, for translations to Thai
+export const MEANING_LANGUAGES = ['de', 'en'];
 
-  const response = await fetch(API_URL);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+// Reverse index of the meanings, built once per search index (i.e. per loaded data)
+const meaningIndexes = new WeakMap();
+
+async function loadMeaningIndex() {
+  const index = await loader.loadIndex();
+  if (!meaningIndexes.has(index)) {
+    meaningIndexes.set(index, new MeaningIndex(index.records, { de: 'meaning_de', en: 'meaning_en' }));
   }
+  return meaningIndexes.get(index);
+}
 
-  const data = await response.json();
-  cache.set(data);
-  return data;
+export async function fetchDictionary() {
+  return await loader.load();
+}
+
+export function getCacheInfo() {
+  return loader.getCacheInfo();
+}
+
+export function getLoadStatus() {
+  return loader.getStatus();
+}
+
+export async function refreshData() {
+  return await loader.refresh();
+}
+
+export async function getDataQualityReport() {
+  return await loader.getQualityReport();
 }
 
 export async function getCategories() {
@@ -29,47 +83,31 @@ export async function getCategories() {
   return Object.keys(data);
 }
 
+/**
+ * Index matches of a query, best first, as returned by SearchIndex.search
+ * (used by the cross-dataset search)
+ */
+export async function findMatches(searchTerm) {
+  const index = await loader.loadIndex();
+  return searchIndex(index, searchTerm, { ...QUERY_OPTIONS, rankBy: 'quality' });
+}
+
+// Best matches first; searchTerm may use the query language
+async function searchIndexed(searchTerm, filter = null) {
+  const index = await loader.loadIndex();
+  return searchIndex(index, searchTerm, { ...QUERY_OPTIONS, rankBy: 'quality', filter }).map(({ record }) => record);
+}
+
 export async function searchInCategory(category, searchTerm) {
   const data = await fetchDictionary();
-
   if (!data[category]) {
     return [];
   }
-
-  const results = [];
-  const lowerSearchTerm = searchTerm.toLowerCase();
-
-  for (const [thai, details] of Object.entries(data[category])) {
-    const matches = [
-      thai.includes(lowerSearchTerm),
-      details.meaning_de.toLowerCase().includes(lowerSearchTerm),
-      details.meaning_en.toLowerCase().includes(lowerSearchTerm),
-      details.trans_de.toLowerCase().includes(lowerSearchTerm),
-      details.trans_en.toLowerCase().includes(lowerSearchTerm),
-    ];
-
-    if (matches.some((match) => match)) {
-      results.push({
-        category,
-        thai,
-        ...details,
-      });
-    }
-  }
-
-  return results;
+  return await searchIndexed(searchTerm, (entry) => entry.category === category);
 }
 
 export async function searchAll(searchTerm) {
-  const categories = await getCategories();
-  const results = [];
-
-  for (const category of categories) {
-    const categoryResults = await searchInCategory(category, searchTerm);
-    results.push(...categoryResults);
-  }
-
-  return results;
+  return await searchIndexed(searchTerm);
 }
 
 export async function searchDictionary(query, category = null) {
@@ -81,10 +119,17 @@ export async function searchDictionary(query, category = null) {
 
 export async function getCategory(categoryName) {
   const data = await fetchDictionary();
-  const categories = await getCategories();
+  const categories = Object.keys(data);
 
   if (!categories.includes(categoryName)) {
-    throw new Error(`Category "${categoryName}" not found. Available: ${categories.join(', ')}`);
+    throw new NotFoundError(`Category "${categoryName}" not found. Available: ${categories.join(', ')}.`, {
+      argument: 'category',
+      value: categoryName,
+      suggestions: findClosest(
+        categoryName,
+        categories.map((key) => ({ value: key, texts: [key, key.replace(/_/g, ' ')] }))
+      ),
+    });
   }
 
   const items = Object.entries(data[categoryName]).map(([thai, details]) => ({
@@ -95,11 +140,14 @@ export async function getCategory(categoryName) {
   return items;
 }
 
+/**
+ * Dictionary entry of a Thai word
+ * Throws NotFoundError with the closest terms (by Thai spelling or transliteration)
+ */
 export async function translateWord(thaiWord) {
   const data = await fetchDictionary();
-  const categories = await getCategories();
 
-  for (const category of categories) {
+  for (const category of Object.keys(data)) {
     if (data[category][thaiWord]) {
       return {
         category,
@@ -109,7 +157,48 @@ export async function translateWord(thaiWord) {
     }
   }
 
-  return null;
+  // Same word typed differently, e.g. with a zero-width space or another mark order
+  const normalizedWord = normalizeThai(thaiWord).trim();
+  const index = await loader.loadIndex();
+  const [firstToken] = normalizeForSearch(thaiWord).split(' ');
+
+  const found = index.findToken(firstToken).find((entry) => normalizeThai(entry.thai).trim() === normalizedWord);
+  if (found) {
+    return found;
+  }
+
+  throw new NotFoundError(`Thai word "${thaiWord}" not found in dictionary.`, {
+    argument: 'word',
+    value: thaiWord,
+    suggestions: findClosest(
+      thaiWord,
+      index.records.map((entry) => ({
+        value: entry.thai,
+        texts: [entry.thai, entry.trans_de, entry.trans_en],
+        label: `${entry.trans_en || entry.trans_de}: ${entry.meaning_en || entry.meaning_de}`,
+      }))
+    ),
+  });
+}
+
+/**
+ * Thai terms for a German or English word, best first
+ * Matches the meanings exactly, inflected ("fish sauces", "Nudeln"), by
+ * prefix, by word, and German compounds by their parts ("Reis" -> "Klebreis").
+ * @param {string} term - German or English word(s)
+ * @param {string|null} [language] - 'de' or 'en' to only match meanings in that language
+ * @returns {Promise<object[]>} Terms with their category, both transliterations and
+ *   meanings, plus match (exact, inflection, prefix, word, word-prefix, compound),
+ *   the matched language and a score between 0 and 1
+ */
+export async function translateToThai(term, language = null) {
+  const index = await loadMeaningIndex();
+  return index.lookup(term, { language }).map(({ record, language: matchedLanguage, match, score }) => ({
+    ...record,
+    match,
+    language: matchedLanguage,
+    score,
+  }));
 }
 
 export async function getCategoryList() {
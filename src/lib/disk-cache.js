@@ -0,0 +1,147 @@
+/**
+ * Persistent disk tier for the dataset caches
+ * Lets the four stdio servers (separate processes) and restarts share one
+ * download. A lock file per dataset makes sure only one process refreshes.
+ * The cached data is already transformed (site and image URLs rewritten), so
+ * every upstream configuration gets its own files.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, open, readFile, rename, stat, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { config, getDatasetUrl } from './config.js';
+import { logDebug, logError } from './logger.js';
+
+const LOCK_RETRY_INTERVAL = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class DiskCacheStore {
+  /**
+   * @param {string} dir - Directory holding the cache files
+   * @param {string} name - Dataset name, used as file name
+   * @param {object} [options]
+   * @param {string|null} [options.key] - Identifies the upstream configuration; appended
+   *   to the file names and checked when reading
+   * @param {number} [options.lockTimeout] - Age in ms after which a lock is considered abandoned
+   */
+  constructor(dir, name, { key = null, lockTimeout = 30 * 1000 } = {}) {
+    this.dir = dir;
+    this.name = name;
+    this.key = key;
+    const baseName = key ? `${name}-${key}` : name;
+    this.file = path.join(dir, `${baseName}.json`);
+    this.lockFile = path.join(dir, `${baseName}.lock`);
+    this.lockTimeout = lockTimeout;
+    // Modification time and size of the file when this store last read or wrote it
+    this.seenVersion = null;
+  }
+
+  async getFileVersion() {
+    try {
+      const stats = await stat(this.file);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read the entry only if the file changed since this store last read or
+   * wrote it, so polling a stale cache does not parse the same data again
+   */
+  async readIfChanged() {
+    const version = await this.getFileVersion();
+    if (version === null || version === this.seenVersion) {
+      return null;
+    }
+    this.seenVersion = version;
+    return await this.read();
+  }
+
+  async read() {
+    try {
+      const entry = JSON.parse(await readFile(this.file, 'utf8'));
+      if (entry.name !== this.name || (entry.key ?? null) !== this.key || !('data' in entry)) {
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logError(`Could not read disk cache ${this.file}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async write(entry) {
+    await mkdir(this.dir, { recursive: true });
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    await writeFile(tmpFile, JSON.stringify({ name: this.name, key: this.key, ...entry }));
+    await rename(tmpFile, this.file);
+    this.seenVersion = await this.getFileVersion();
+  }
+
+  async remove() {
+    this.seenVersion = null;
+    try {
+      await unlink(this.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Acquire the lock file, waiting while another process holds it.
+   * Locks older than lockTimeout are taken over, so a crashed process
+   * cannot block the others. Resolves to a release function.
+   */
+  async lock() {
+    await mkdir(this.dir, { recursive: true });
+    const deadline = Date.now() + this.lockTimeout;
+
+    while (true) {
+      try {
+        const handle = await open(this.lockFile, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return async () => {
+          await unlink(this.lockFile).catch(() => {});
+        };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const lockAge = await stat(this.lockFile)
+        .then((stats) => Date.now() - stats.mtimeMs)
+        .catch(() => 0);
+      if (lockAge > this.lockTimeout || Date.now() > deadline) {
+        logDebug(`Taking over abandoned cache lock ${this.lockFile}`);
+        await unlink(this.lockFile).catch(() => {});
+        continue;
+      }
+
+      await sleep(LOCK_RETRY_INTERVAL);
+    }
+  }
+}
+
+// Short hash of the dataset URL and the upstream settings the transformed data depends on
+function getUpstreamKey(name) {
+  const upstream = { url: getDatasetUrl(name), ...config.upstream };
+  return createHash('sha256').update(JSON.stringify(upstream)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Create the disk store for a dataset, or null if the disk cache is disabled
+ */
+export function createDiskStore(name) {
+  if (!config.cache.diskEnabled) {
+    return null;
+  }
+  return new DiskCacheStore(config.cache.dir, name, { key: getUpstreamKey(name) });
+}
@@ -3,15 +3,20 @@
  * Shared logic for both MCP and REST API
  */
 
-import { Cache } from './cache.js';
+import { config } from './config.js';
+import { DatasetLoader } from './dataset-loader.js';
+import { NotFoundError } from './errors.js';
+import { findClosest } from './fuzzy-match.js';
+import { exportGraph, GRAPH_FORMATS } from './graph-export.js';
+import { getQueryFields, searchIndex } from './query-language.js';
+import { SearchIndex } from './search-index.js';
+import { normalizeForSearch } from './thai-text.js';
 
-const API_URL = 'https://www.ahaan-thai.de/api/thai-food-encyclopedia.json';
-const BASE_URL = 'https://www.ahaan-thai.de';
-const IMAGE_BASE_URL = 'https://bilder.koch-reis.de/media/';
-const cache = new Cache(5 * 60 * 1000); // 5 minutes
+export const DATASET = 'encyclopedia';
 
 // Transform recipe links to full URLs based on their type
-function transformRecipeLink(link) {
+// (also used to resolve pasted site links, see url-resolver.js)
+export function transformRecipeLink(link) {
   // External links with autotranslation: ?trans=TH-DE, &trans=TH-DE, ?trans=TH-EN, &trans=TH-EN
   if (
     (link.startsWith('http://') || link.startsWith('https://')) &&
@@ -36,12 +41,12 @@ function transformRecipeLink(link) {
 
   // Reiskoch links
   if (link.startsWith('/reiskoch/')) {
-    return link.replace('/reiskoch/', 'https://www.der-reiskoch.de/');
+    return link.replace('/reiskoch/', config.upstream.reiskochUrl);
   }
 
   // PDF links
   if (link.startsWith('/aa-pdf/')) {
-    return BASE_URL + link.replace('/aa-pdf/', '/pdf/andreas-ayasse/');
+    return config.upstream.siteUrl + link.replace('/aa-pdf/', '/pdf/andreas-ayasse/');
   }
 
   // YouTube links
@@ -51,7 +56,7 @@ function transformRecipeLink(link) {
   }
 
   // All other internal links
-  return BASE_URL + link;
+  return config.upstream.siteUrl + link;
 }
 
 // Ensure relationship links end with /
@@ -122,142 +127,132 @@ function processEntry(entry) {
 
   // Transform image URL
   if (processed.imageUrl && !processed.imageUrl.startsWith('http')) {
-    processed.imageUrl = IMAGE_BASE_URL + processed.imageUrl;
+    processed.imageUrl = config.upstream.encyclopediaImageBaseUrl + processed.imageUrl;
   }
 
   return processed;
 }
 
+// Weight of a match per field: names above tags above summary above description.
+// Long texts are only matched exactly or as another romanization, not with typos.
+const SEARCH_FIELDS = [
+  { path: 'thaiName', weight: 10, fuzzy: true, get: (entry) => entry.thaiName },
+  { path: 'alternativeNames', weight: 8, fuzzy: true, get: (entry) => entry.alternativeNames },
+  ...['de', 'en'].flatMap((lang) => [
+    { path: `${lang}.transcription`, weight: 8, fuzzy: true, get: (entry) => entry[lang]?.transcription },
+    { path: `${lang}.tags`, weight: 4, fuzzy: true, get: (entry) => entry[lang]?.tags },
+    { path: `${lang}.regions`, weight: 4, fuzzy: true, get: (entry) => entry[lang]?.regions },
+    { path: `${lang}.summary`, weight: 2, fuzzy: false, get: (entry) => entry[lang]?.summary },
+    { path: `${lang}.description`, weight: 1, fuzzy: false, get: (entry) => entry[lang]?.description },
+  ]),
+];
+
+const bothLanguages = (field) => [`de.${field}`, `en.${field}`];
+
+// Field prefixes of the query language (see query-language.js)
+const QUERY_OPTIONS = {
+  fields: {
+    name: { paths: ['thaiName', 'alternativeNames', ...bothLanguages('transcription')] },
+    thai: { paths: ['thaiName', 'alternativeNames'] },
+    transcription: { paths: bothLanguages('transcription') },
+    tag: { paths: bothLanguages('tags') },
+    region: { paths: bothLanguages('regions') },
+    summary: { paths: bothLanguages('summary') },
+    description: { paths: bothLanguages('description') },
+  },
+  languages: Object.fromEntries(
+    ['de', 'en'].map((lang) => [
+      lang,
+      SEARCH_FIELDS.map(({ path }) => path).filter((path) => !path.includes('.') || path.startsWith(`${lang}.`)),
+    ])
+  ),
+};
+
+export const QUERY_FIELDS = getQueryFields(QUERY_OPTIONS);
+
+// Transform all entries to include full recipe URLs
+const loader = new DatasetLoader(DATASET, {
+  transform: (rawData) => rawData.map(processEntry),
+  index: (data) => new SearchIndex(data, SEARCH_FIELDS),
+});
+
 export async function fetchEncyclopedia() {
-  const cached = cache.get();
-  if (cached) {
-    return cached;
-  }
+  return await loader.load();
+}
 
-  const response = await fetch(API_URL);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
+export function getCacheInfo() {
+  return loader.getCacheInfo();
+}
 
-  const rawData = await response.json();
+export function getLoadStatus() {
+  return loader.getStatus();
+}
 
-  // Transform all entries to include full recipe URLs
-  const encyclopediaData = rawData.map(processEntry);
+export async function refreshData() {
+  return await loader.refresh();
+}
 
-  cache.set(encyclopediaData);
-  return encyclopediaData;
+export async function getDataQualityReport() {
+  return await loader.getQualityReport();
 }
 
-export async function searchEntries(searchTerm, limit = 20) {
-  const data = await fetchEncyclopedia();
-  const results = [];
-  const lowerSearchTerm = searchTerm.toLowerCase();
+/**
+ * Index matches of a query, best first, as returned by SearchIndex.search
+ * (used by the cross-dataset search)
+ */
+export async function findMatches(searchTerm) {
+  const index = await loader.loadIndex();
+  return searchIndex(index, searchTerm, { ...QUERY_OPTIONS, rankBy: 'quality' });
+}
 
-  for (const entry of data) {
-    const matches = [
-      entry.thaiName && entry.thaiName.toLowerCase().includes(lowerSearchTerm),
-      entry.alternativeNames &&
-        entry.alternativeNames.some((name) =>
-          name.toLowerCase().includes(lowerSearchTerm)
-        ),
-      entry.de &&
-        entry.de.transcription &&
-        entry.de.transcription.toLowerCase().includes(lowerSearchTerm),
-      entry.de &&
-        entry.de.summary &&
-        entry.de.summary.toLowerCase().includes(lowerSearchTerm),
-      entry.de &&
-        entry.de.description &&
-        entry.de.description.toLowerCase().includes(lowerSearchTerm),
-      entry.de &&
-        entry.de.tags &&
-        entry.de.tags.some((tag) =>
-          tag.toLowerCase().includes(lowerSearchTerm)
-        ),
-      entry.de &&
-        entry.de.regions &&
-        entry.de.regions.some((region) =>
-          region.toLowerCase().includes(lowerSearchTerm)
-        ),
-      entry.en &&
-        entry.en.transcription &&
-        entry.en.transcription.toLowerCase().includes(lowerSearchTerm),
-      entry.en &&
-        entry.en.summary &&
-        entry.en.summary.toLowerCase().includes(lowerSearchTerm),
-      entry.en &&
-        entry.en.description &&
-        entry.en.description.toLowerCase().includes(lowerSearchTerm),
-      entry.en &&
-        entry.en.tags &&
-        entry.en.tags.some((tag) =>
-          tag.toLowerCase().includes(lowerSearchTerm)
-        ),
-      entry.en &&
-        entry.en.regions &&
-        entry.en.regions.some((region) =>
-          region.toLowerCase().includes(lowerSearchTerm)
-        ),
-    ];
-
-    if (matches.some((match) => match)) {
-      results.push(entry);
-      if (results.length >= limit) {
-        break;
-      }
-    }
-  }
+/**
+ * Search entries, most relevant first. Every field that matches adds its
+ * weight times the match quality to the score of the entry; each result
+ * carries the score and the matched field paths (e.g. "de.transcription").
+ */
+export async function searchEntries(searchTerm, limit = Infinity) {
+  const index = await loader.loadIndex();
 
-  return results;
+  return searchIndex(index, searchTerm, QUERY_OPTIONS)
+    .slice(0, limit)
+    .map(({ record, score, matchedFields }) => ({ ...record, score, matchedFields }));
 }
 
-export async function getEntriesByRegion(region, limit = 20) {
-  const data = await fetchEncyclopedia();
-
-  const results = data
-    .filter((entry) => {
-      const regionLower = region.toLowerCase();
-      return (
-        (entry.de &&
-          entry.de.regions &&
-          entry.de.regions.some((r) =>
-            r.toLowerCase().includes(regionLower)
-          )) ||
-        (entry.en &&
-          entry.en.regions &&
-          entry.en.regions.some((r) => r.toLowerCase().includes(regionLower)))
-      );
-    })
-    .slice(0, limit);
-
-  return results;
+// Entry has a value of a list field (tags, regions) containing the text, in either language
+function hasListValue(entry, field, text) {
+  const wanted = text.toLowerCase();
+  return ['de', 'en'].some((lang) => (entry[lang]?.[field] || []).some((value) => value.toLowerCase().includes(wanted)));
 }
 
-export async function getEntriesByTag(tag, limit = 20) {
+export async function getEntriesByRegion(region, limit = Infinity) {
   const data = await fetchEncyclopedia();
+  return data.filter((entry) => hasListValue(entry, 'regions', region)).slice(0, limit);
+}
 
-  const results = data
-    .filter((entry) => {
-      const tagLower = tag.toLowerCase();
-      return (
-        (entry.de &&
-          entry.de.tags &&
-          entry.de.tags.some((t) => t.toLowerCase().includes(tagLower))) ||
-        (entry.en &&
-          entry.en.tags &&
-          entry.en.tags.some((t) => t.toLowerCase().includes(tagLower)))
-      );
-    })
-    .slice(0, limit);
-
-  return results;
+export async function getEntriesByTag(tag, limit = Infinity) {
+  const data = await fetchEncyclopedia();
+  return data.filter((entry) => hasListValue(entry, 'tags', tag)).slice(0, limit);
 }
 
-export async function getAllEntries(limit = 100) {
+export async function getAllEntries(limit = Infinity) {
   const data = await fetchEncyclopedia();
   return data.slice(0, limit);
 }
 
+// Distinct values of a list field in both languages, in order of appearance
+async function getDistinctValues(field) {
+  const data = await fetchEncyclopedia();
+  return [...new Set(data.flatMap((entry) => [...(entry.de?.[field] || []), ...(entry.en?.[field] || [])]))];
+}
+
+export async function getTags() {
+  return await getDistinctValues('tags');
+}
+
+export async function getRegionNames() {
+  return await getDistinctValues('regions');
+}
+
 export async function getAllRegions() {
   // Define the 4 main Thai regions
   const regions = {
@@ -302,33 +297,408 @@ export async function getAllRegions() {
   return regions;
 }
 
+const RELATIONSHIP_TYPES = {
+  uses: {
+    title_de: 'Verwendet',
+    title_en: 'Uses',
+  },
+  usedBy: {
+    title_de: 'Verwendung',
+    title_en: 'Usages',
+  },
+  fits: {
+    title_de: 'Passt gut zu',
+    title_en: 'Fits',
+  },
+  fittedBy: {
+    title_de: 'Dazu passt gut',
+    title_en: 'Best accompanied by',
+  },
+  variations: {
+    title_de: 'Variationen',
+    title_en: 'Variations',
+  },
+  variationOf: {
+    title_de: 'Eine Variation von',
+    title_en: 'A Variation of',
+  },
+};
+
 export async function getRelationshipTypes() {
-  const relationships = {
-    uses: {
-      title_de: 'Verwendet',
-      title_en: 'Uses',
-    },
-    usedBy: {
-      title_de: 'Verwendung',
-      title_en: 'Usages',
-    },
-    fits: {
-      title_de: 'Passt gut zu',
-      title_en: 'Fits',
-    },
-    fittedBy: {
-      title_de: 'Dazu passt gut',
-      title_en: 'Best accompanied by',
-    },
-    variations: {
-      title_de: 'Variationen',
-      title_en: 'Variations',
-    },
-    variationOf: {
-      title_de: 'Eine Variation von',
-      title_en: 'A Variation of',
-    },
+  return RELATIONSHIP_TYPES;
+}
+
+export const RELATIONSHIP_NAMES = Object.keys(RELATIONSHIP_TYPES);
+
+// Every relationship has a reverse: if a dish uses a paste, the paste is used by the dish
+const INVERSE_RELATIONSHIPS = {
+  uses: 'usedBy',
+  usedBy: 'uses',
+  fits: 'fittedBy',
+  fittedBy: 'fits',
+  variations: 'variationOf',
+  variationOf: 'variations',
+};
+
+export const MAX_RELATION_DEPTH = 5;
+
+// Links are compared without the trailing slash the URL rewriting adds
+const linkKey = (url) => url.replace(/\/+$/, '');
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+// Entries by their German and English url, the targets of the relationship links
+function indexByUrl(data) {
+  const byUrl = new Map();
+  for (const entry of data) {
+    for (const lang of ['de', 'en']) {
+      asList(entry[lang]?.url).forEach((url) => byUrl.set(linkKey(url), entry));
+    }
+  }
+  return byUrl;
+}
+
+/**
+ * Relationship graph of the entries
+ * The relationship fields are rewritten URLs; they are resolved to the entries
+ * with that url (German or English). A link stated on one side only is added
+ * on the other side too, marked as inferred.
+ * @returns {object} { entries: thaiName -> entry, edges: thaiName -> [{ type, to, inferred }],
+ *   unresolved: [{ from, type, url }] }
+ */
+function buildRelationshipGraph(data) {
+  const entries = new Map(data.map((entry) => [entry.thaiName, entry]));
+  const byUrl = indexByUrl(data);
+
+  const edges = new Map(data.map((entry) => [entry.thaiName, []]));
+  const seen = new Set();
+  const unresolved = [];
+
+  const addEdge = (from, type, to, inferred) => {
+    const key = `${from}\u0000${type}\u0000${to}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      edges.get(from).push({ type, to, inferred });
+    }
+  };
+
+  for (const entry of data) {
+    for (const type of RELATIONSHIP_NAMES) {
+      for (const lang of ['de', 'en']) {
+        for (const url of asList(entry[lang]?.[type])) {
+          const target = byUrl.get(linkKey(url));
+          if (!target) {
+            unresolved.push({ from: entry.thaiName, type, url });
+          } else if (target !== entry) {
+            addEdge(entry.thaiName, type, target.thaiName, false);
+          }
+        }
+      }
+    }
+  }
+
+  // Stated edges win over inferred ones, so the reverse edges are added last
+  for (const [from, list] of [...edges]) {
+    for (const { type, to, inferred } of [...list]) {
+      if (!inferred) {
+        addEdge(to, INVERSE_RELATIONSHIPS[type], from, true);
+      }
+    }
+  }
+
+  return { entries, edges, unresolved };
+}
+
+// Built once per loaded data
+const relationshipGraphs = new WeakMap();
+
+async function getRelationshipGraph() {
+  const data = await fetchEncyclopedia();
+  if (!relationshipGraphs.has(data)) {
+    relationshipGraphs.set(data, buildRelationshipGraph(data));
+  }
+  return relationshipGraphs.get(data);
+}
+
+/**
+ * Entry by Thai name, alternative name, transcription or URL
+ * Throws NotFoundError with the closest entries
+ */
+export async function findEntry(name) {
+  const data = await fetchEncyclopedia();
+  const exact = data.find((entry) => entry.thaiName === name);
+  if (exact) {
+    return exact;
+  }
+
+  const wanted = normalizeForSearch(name);
+  const names = (entry) => [
+    entry.thaiName,
+    ...asList(entry.alternativeNames),
+    entry.de?.transcription,
+    entry.en?.transcription,
+  ].filter(Boolean);
+  const found = data.find(
+    (entry) =>
+      names(entry).some((value) => normalizeForSearch(value) === wanted) ||
+      ['de', 'en'].some((lang) => asList(entry[lang]?.url).some((url) => linkKey(url) === linkKey(name)))
+  );
+  if (found) {
+    return found;
+  }
+
+  throw new NotFoundError(`Encyclopedia entry "${name}" not found.`, {
+    argument: 'entry',
+    value: name,
+    suggestions: findClosest(
+      name,
+      data.map((entry) => ({ value: entry.thaiName, texts: names(entry), label: entry.en?.transcription || entry.de?.transcription }))
+    ),
+  });
+}
+
+/**
+ * Entries related to an entry, following the given relationship types up
+ * to `depth` steps, e.g. from a curry paste via usedBy to all dishes using it
+ * @param {string} name - Thai name, alternative name, transcription or URL of the entry
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Relationship types to follow (default all)
+ * @param {number} [options.depth] - Steps from the entry (default 1, at most MAX_RELATION_DEPTH)
+ * @param {'de'|'en'} [options.language] - Language of the edge labels (default en)
+ * @returns {Promise<object>} { entry, types, depth, entries: [{ ...entry, depth }] nearest first,
+ *   edges: [{ from, to, type, label, inferred }], unresolved: links that point to no entry }
+ */
+export async function getRelatedEntries(name, { types = RELATIONSHIP_NAMES, depth = 1, language = 'en' } = {}) {
+  const unknown = types.filter((type) => !RELATIONSHIP_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown relationship type(s): ${unknown.join(', ')}. Use: ${RELATIONSHIP_NAMES.join(', ')}`);
+  }
+
+  const root = await findEntry(name);
+  const graph = await getRelationshipGraph();
+  const maxDepth = Math.min(Math.max(Math.floor(depth) || 1, 1), MAX_RELATION_DEPTH);
+
+  const depths = new Map([[root.thaiName, 0]]);
+  const edges = [];
+  let frontier = [root.thaiName];
+
+  for (let level = 1; level <= maxDepth && frontier.length > 0; level++) {
+    const next = [];
+    for (const from of frontier) {
+      for (const { type, to, inferred } of graph.edges.get(from)) {
+        if (!types.includes(type)) {
+          continue;
+        }
+        edges.push({ from, to, type, label: RELATIONSHIP_TYPES[type][`title_${language}`], inferred });
+        if (!depths.has(to)) {
+          depths.set(to, level);
+          next.push(to);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    entry: root,
+    types,
+    depth: maxDepth,
+    entries: [...depths]
+      .filter(([thaiName]) => thaiName !== root.thaiName)
+      .map(([thaiName, level]) => ({ ...graph.entries.get(thaiName), depth: level })),
+    edges,
+    // Links of the entries whose relationships were followed
+    unresolved: graph.unresolved.filter(
+      ({ from, type }) => depths.get(from) < maxDepth && types.includes(type)
+    ),
   };
+}
 
-  return relationships;
+export const GRAPH_FORMAT_NAMES = Object.keys(GRAPH_FORMATS);
+
+// Of the two directions of a relationship, exports draw only this one
+const EXPORTED_DIRECTIONS = new Set(['uses', 'fits', 'variations']);
+
+/**
+ * The relationship graph as Mermaid, Graphviz DOT or GraphML
+ * Without filters all entries are exported. Each relationship is drawn once,
+ * as uses / fits / variations unless only the reverse type is requested;
+ * a relationship only one of the two entries states is drawn dashed.
+ * @param {object} [options]
+ * @param {'mermaid'|'dot'|'graphml'} [options.format] - Default mermaid
+ * @param {string} [options.region] - Only entries of this region
+ * @param {string} [options.tag] - Only entries with this tag
+ * @param {string} [options.entry] - Only this entry and the entries related to it
+ * @param {number} [options.depth] - Steps from `entry` (default 1)
+ * @param {string[]} [options.types] - Relationship types (default all)
+ * @param {'de'|'en'} [options.language] - Language of the labels (default en)
+ * @returns {Promise<object>} { format, mimeType, nodes, edges (counts), graph (the document) }
+ */
+export async function exportRelationshipGraph({
+  format = 'mermaid',
+  region = null,
+  tag = null,
+  entry = null,
+  depth = 1,
+  types = RELATIONSHIP_NAMES,
+  language = 'en',
+} = {}) {
+  if (!GRAPH_FORMATS[format]) {
+    throw new Error(`Unknown graph format "${format}". Use one of: ${GRAPH_FORMAT_NAMES.join(', ')}`);
+  }
+
+  const graph = await getRelationshipGraph();
+  let selected;
+  let root = null;
+  if (entry) {
+    const related = await getRelatedEntries(entry, { types, depth, language });
+    root = related.entry;
+    selected = [root, ...related.entries.map((relatedEntry) => graph.entries.get(relatedEntry.thaiName))];
+  } else {
+    selected = await fetchEncyclopedia();
+  }
+  selected = selected.filter(
+    (candidate) =>
+      candidate === root ||
+      ((!region || hasListValue(candidate, 'regions', region)) && (!tag || hasListValue(candidate, 'tags', tag)))
+  );
+
+  const ids = new Map(selected.map((selectedEntry, index) => [selectedEntry.thaiName, `n${index}`]));
+  const nodes = selected.map((selectedEntry) => {
+    const transcription = selectedEntry[language]?.transcription;
+    return {
+      id: ids.get(selectedEntry.thaiName),
+      label: transcription ? `${transcription} (${selectedEntry.thaiName})` : selectedEntry.thaiName,
+      thaiName: selectedEntry.thaiName,
+      url: asList(selectedEntry[language]?.url)[0],
+    };
+  });
+
+  const edges = [];
+  for (const { thaiName: from } of selected) {
+    for (const { type, to, inferred } of graph.edges.get(from)) {
+      const inverse = INVERSE_RELATIONSHIPS[type];
+      if (!ids.has(to) || !types.includes(type) || (!EXPORTED_DIRECTIONS.has(type) && types.includes(inverse))) {
+        continue;
+      }
+      const reverse = graph.edges.get(to).find((edge) => edge.type === inverse && edge.to === from);
+      edges.push({
+        from: ids.get(from),
+        to: ids.get(to),
+        label: RELATIONSHIP_TYPES[type][`title_${language}`],
+        type,
+        oneSided: inferred || reverse.inferred,
+      });
+    }
+  }
+
+  return {
+    format,
+    mimeType: GRAPH_FORMATS[format].mimeType,
+    nodes: nodes.length,
+    edges: edges.length,
+    graph: exportGraph({ nodes, edges }, format, 'encyclopedia'),
+  };
+}
+
+export const RELATIONSHIP_ISSUE_KINDS = ['dangling', 'missing_inverse', 'self_reference', 'language_mismatch'];
+
+/**
+ * Integrity check of the relationship links, e.g. before publishing
+ * Every link has to point to another entry, and the entry it points to has
+ * to link back with the reverse type in the same language (uses / usedBy,
+ * fits / fittedBy, variations / variationOf). Entries with a German and an
+ * English part have to link the same entries in both.
+ * @returns {Promise<object>} { checkedAt, entries, links, counts: kind -> number,
+ *   issues: [{ kind, entry, language?, type, target?, url?, message }] }
+ */
+export async function checkRelationships() {
+  const data = await fetchEncyclopedia();
+  const byUrl = indexByUrl(data);
+  const issues = [];
+  // thaiName -> language -> type -> Set of linked thaiNames
+  const links = new Map(data.map((entry) => [entry.thaiName, { de: {}, en: {} }]));
+  let linkCount = 0;
+
+  for (const entry of data) {
+    for (const lang of ['de', 'en']) {
+      for (const type of RELATIONSHIP_NAMES) {
+        const targets = new Set();
+        for (const url of asList(entry[lang]?.[type])) {
+          linkCount++;
+          const target = byUrl.get(linkKey(url));
+          if (!target) {
+            issues.push({
+              kind: 'dangling',
+              entry: entry.thaiName,
+              language: lang,
+              type,
+              url,
+              message: `${entry.thaiName} (${lang}.${type}) links to ${url}, which is no entry`,
+            });
+          } else if (target === entry) {
+            issues.push({
+              kind: 'self_reference',
+              entry: entry.thaiName,
+              language: lang,
+              type,
+              message: `${entry.thaiName} (${lang}.${type}) links to itself`,
+            });
+          } else {
+            targets.add(target.thaiName);
+          }
+        }
+        links.get(entry.thaiName)[lang][type] = targets;
+      }
+    }
+  }
+
+  for (const entry of data) {
+    const own = links.get(entry.thaiName);
+    for (const type of RELATIONSHIP_NAMES) {
+      const inverse = INVERSE_RELATIONSHIPS[type];
+      for (const lang of ['de', 'en']) {
+        for (const target of own[lang][type]) {
+          if (!links.get(target)[lang][inverse].has(entry.thaiName)) {
+            issues.push({
+              kind: 'missing_inverse',
+              entry: entry.thaiName,
+              language: lang,
+              type,
+              target,
+              message: `${entry.thaiName} (${lang}.${type}) links to ${target}, but ${target} has no ${lang}.${inverse} link back`,
+            });
+          }
+        }
+      }
+
+      if (entry.de && entry.en) {
+        const onlyDe = [...own.de[type]].filter((target) => !own.en[type].has(target));
+        const onlyEn = [...own.en[type]].filter((target) => !own.de[type].has(target));
+        if (onlyDe.length > 0 || onlyEn.length > 0) {
+          issues.push({
+            kind: 'language_mismatch',
+            entry: entry.thaiName,
+            type,
+            onlyDe,
+            onlyEn,
+            message:
+              `${entry.thaiName} links different entries as ${type} in de and en` +
+              (onlyDe.length > 0 ? `; only de: ${onlyDe.join(', ')}` : '') +
+              (onlyEn.length > 0 ? `; only en: ${onlyEn.join(', ')}` : ''),
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    entries: data.length,
+    links: linkCount,
+    counts: Object.fromEntries(
+      RELATIONSHIP_ISSUE_KINDS.map((kind) => [kind, issues.filter((issue) => issue.kind === kind).length])
+    ),
+    issues,
+  };
 }
@@ -0,0 +1,94 @@
+/**
+ * Error classes shared by the logic modules
+ * Each error carries a stable `code` so servers can map it to a response
+ */
+
+export class UpstreamUnavailableError extends Error {
+  /**
+   * @param {string} dataset - Dataset whose upstream is failing
+   * @param {Date} retryAt - When the circuit breaker lets the next request through
+   * @param {string|null} lastError - Message of the failure that opened the breaker
+   */
+  constructor(dataset, retryAt, lastError = null) {
+    const seconds = Math.max(0, Math.ceil((retryAt.getTime() - Date.now()) / 1000));
+    super(
+      `Dataset "${dataset}" is temporarily unavailable` +
+        (lastError ? ` (last error: ${lastError})` : '') +
+        `. Upstream will be retried at ${retryAt.toISOString()} (in ${seconds}s).`
+    );
+    this.name = 'UpstreamUnavailableError';
+    this.code = 'UPSTREAM_UNAVAILABLE';
+    this.dataset = dataset;
+    this.retryAt = retryAt;
+  }
+}
+
+export class QueryParseError extends Error {
+  /**
+   * @param {string} message - What is wrong with the query
+   * @param {number|null} position - Offset in the query where the problem was found
+   */
+  constructor(message, position = null) {
+    super(position === null ? `Invalid query: ${message}` : `Invalid query at position ${position}: ${message}`);
+    this.name = 'QueryParseError';
+    this.code = 'QUERY_PARSE_ERROR';
+    this.position = position;
+  }
+}
+
+export class InvalidCursorError extends Error {
+  /**
+   * @param {string} cursor - Cursor that could not be decoded
+   */
+  constructor(cursor) {
+    super(`Invalid cursor "${cursor}". Use the nextCursor of the previous page, or no cursor for the first page.`);
+    this.name = 'InvalidCursorError';
+    this.code = 'INVALID_CURSOR';
+    this.cursor = cursor;
+  }
+}
+
+export class InvalidIsbnError extends Error {
+  /**
+   * @param {string} isbn - The ISBN as given
+   * @param {string} problem - Why it is not a valid ISBN
+   */
+  constructor(isbn, problem) {
+    super(`Invalid ISBN "${isbn}": ${problem}.`);
+    this.name = 'InvalidIsbnError';
+    this.code = 'INVALID_ISBN';
+    this.isbn = isbn;
+    this.problem = problem;
+  }
+}
+
+export class NotFoundError extends Error {
+  /**
+   * @param {string} message - What was not found
+   * @param {object} details
+   * @param {string} details.argument - Tool argument that was not found, e.g. "cookbook"
+   * @param {string} details.value - The value that was looked up
+   * @param {object[]} [details.suggestions] - Closest existing values ({ value, label?, similarity }),
+   *   an agent can retry with one of them
+   */
+  constructor(message, { argument, value, suggestions = [] }) {
+    const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.map((s) => `"${s.value}"`).join(', ')}?` : '';
+    super(message + hint);
+    this.name = 'NotFoundError';
+    this.code = 'NOT_FOUND';
+    this.argument = argument;
+    this.value = value;
+    this.suggestions = suggestions;
+  }
+
+  // Structured payload for tool results
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      argument: this.argument,
+      value: this.value,
+      suggestions: this.suggestions,
+    };
+  }
+}
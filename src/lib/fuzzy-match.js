@@ -0,0 +1,215 @@
+/**
+ * Transliteration-aware fuzzy matching
+ * Thai words are romanized in many ways ("pad thai", "phat thai", "Phad
+ * Thai", German "Tom Jam"). Text is folded to a rough phonetic key so those
+ * spellings compare equal, and small typos are tolerated via edit distance.
+ */
+
+import { normalizeForSearch } from './thai-text.js';
+
+// Applied in order to every word, after lower-casing and removing accents
+const FOLDING_RULES = [
+  // German spellings of CH/SH sounds
+  [/[dt]sch/g, 'ch'],
+  [/sch/g, 'sh'],
+  // Aspirated consonants: RTGS ph/th/kh vs. p/t/k in casual spellings
+  [/ph/g, 'p'],
+  [/th/g, 't'],
+  [/kh/g, 'k'],
+  [/ch/g, 'c'],
+  // German J is the Y sound (Jam = Yam)
+  [/j/g, 'y'],
+  // Unaspirated K is often written G (gai = kai), but keep NG
+  [/(^|[^n])g/g, '$1k'],
+  // Vowel spellings: German ie/ei/eu/au, English ee/oo/ay/ow, RTGS ue/uea
+  [/ie|ee/g, 'i'],
+  [/oo/g, 'u'],
+  [/ei|ay|ey/g, 'ai'],
+  [/au|ow/g, 'ao'],
+  [/oy/g, 'oi'],
+  [/uea/g, 'ua'],
+  [/ue|eu/g, 'u'],
+  // Final D and B are pronounced as T and P (phad = phat)
+  [/d$/, 't'],
+  [/b$/, 'p'],
+  // Vowel length is written by doubling
+  [/(.)\1+/g, '$1'],
+];
+
+function foldWord(word) {
+  return FOLDING_RULES.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), word);
+}
+
+/**
+ * Words of a text folded for comparison across romanizations
+ * ("Phad Thai" -> ["pat", "tai"]). Thai script is kept as it is.
+ */
+export function foldTransliteration(text) {
+  return normalizeForSearch(text)
+    .replace(/ß/g, 'ss')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .normalize('NFC')
+    .split(/[^a-z0-9\u0E00-\u0E7F]+/)
+    .filter(Boolean)
+    .map(foldWord);
+}
+
+/**
+ * Levenshtein distance, or maxDistance + 1 as soon as it is exceeded
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Precompute everything needed to match a text, once per indexed field or query
+ */
+export function prepareText(text) {
+  const words = foldTransliteration(text);
+  return {
+    text: normalizeForSearch(text),
+    words,
+    compact: words.join(''),
+  };
+}
+
+/**
+ * Typos tolerated in a query of the given (folded) length
+ */
+export function getMaxDistance(length) {
+  if (length < 4) {
+    return 0;
+  }
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Match quality of a query against a text, between 0 (no match) and 1 (exact)
+ * @param {object} query - Result of prepareText() for the query
+ * @param {object} field - Result of prepareText() for the indexed text
+ * @param {object} [options]
+ * @param {boolean} [options.fuzzy] - Allow typos; off for long texts like descriptions
+ * @param {boolean} [options.exact] - Only compare the normalized text, e.g. for quoted phrases
+ */
+export function scoreMatch(query, field, { fuzzy = true, exact = false } = {}) {
+  // Like String.includes(''), an empty query matches everything
+  if (!query.text) {
+    return 1;
+  }
+  if (!field.text) {
+    return 0;
+  }
+  if (field.text === query.text) {
+    return 1;
+  }
+  if (field.text.startsWith(query.text)) {
+    return 0.9;
+  }
+  if (field.text.includes(query.text)) {
+    return 0.8;
+  }
+  if (exact) {
+    return 0;
+  }
+
+  // Same word(s) in another romanization
+  if (query.compact && field.compact.includes(query.compact)) {
+    return field.compact === query.compact ? 0.75 : 0.7;
+  }
+
+  const maxDistance = getMaxDistance(query.compact.length);
+  if (!fuzzy || maxDistance === 0) {
+    return 0;
+  }
+
+  // Compare with every run of about as many words as the query has,
+  // so "padthai" still finds "Phat Thai"
+  let best = maxDistance + 1;
+  const querySize = query.words.length;
+  for (let size = Math.max(1, querySize - 1); size <= querySize + 1; size++) {
+    for (let start = 0; start + size <= field.words.length && best > 1; start++) {
+      const candidate = field.words.slice(start, start + size).join('');
+      best = Math.min(best, editDistance(query.compact, candidate, maxDistance));
+    }
+  }
+
+  return best <= maxDistance ? 0.6 - 0.1 * (best - 1) : 0;
+}
+
+// Similarity of two prepared texts between 0 and 1, by edit distance of the
+// normalized and of the folded texts (other romanizations compare equal)
+function similarity(a, b) {
+  if (a.text === b.text) {
+    return 1;
+  }
+  const textSimilarity = 1 - editDistance(a.text, b.text) / Math.max(a.text.length, b.text.length);
+  if (!a.compact || !b.compact) {
+    return textSimilarity;
+  }
+  const foldedSimilarity =
+    a.compact === b.compact ? 0.95 : 1 - editDistance(a.compact, b.compact) / Math.max(a.compact.length, b.compact.length);
+  return Math.max(textSimilarity, foldedSimilarity);
+}
+
+/**
+ * Candidates closest to a value that was not found, for "did you mean" suggestions
+ * A candidate matches with its best text, and a little less with a single
+ * word of it ("thompson" is close to "David Thompson").
+ * @param {string} value - What was looked up
+ * @param {object[]} candidates - { value, texts: string[], label? }
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of suggestions (default 3)
+ * @param {number} [options.minSimilarity] - Between 0 and 1 (default 0.5)
+ * @returns {object[]} { value, label?, similarity }, closest first
+ */
+export function findClosest(value, candidates, { limit = 3, minSimilarity = 0.5 } = {}) {
+  const query = prepareText(value);
+  if (!query.text) {
+    return [];
+  }
+
+  const scored = [];
+  for (const candidate of candidates) {
+    let best = 0;
+    for (const text of candidate.texts.filter(Boolean)) {
+      const prepared = prepareText(text);
+      best = Math.max(best, similarity(query, prepared));
+
+      const words = prepared.text.split(' ');
+      if (words.length > 1) {
+        for (const word of words) {
+          best = Math.max(best, 0.9 * similarity(query, prepareText(word)));
+        }
+      }
+    }
+    if (best >= minSimilarity) {
+      scored.push({
+        value: candidate.value,
+        ...(candidate.label && { label: candidate.label }),
+        similarity: Math.round(best * 100) / 100,
+      });
+    }
+  }
+
+  return scored.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+}
@@ -0,0 +1,93 @@
+/**
+ * Graph export as Mermaid, Graphviz DOT or GraphML
+ * A graph is { nodes: [{ id, label, ...attributes }], edges: [{ from, to, label, type, oneSided }] };
+ * node ids are only used inside the exported document. Edges that only one
+ * of their two nodes states (oneSided) are drawn dashed.
+ */
+
+export const GRAPH_FORMATS = {
+  mermaid: { mimeType: 'text/vnd.mermaid' },
+  dot: { mimeType: 'text/vnd.graphviz' },
+  graphml: { mimeType: 'application/graphml+xml' },
+};
+
+// Mermaid has no escaping with backslashes, only HTML entity codes
+const mermaidText = (text) => String(text).replace(/"/g, '#quot;');
+
+function toMermaid({ nodes, edges }) {
+  const lines = ['graph LR'];
+  for (const node of nodes) {
+    lines.push(`  ${node.id}["${mermaidText(node.label)}"]`);
+  }
+  for (const edge of edges) {
+    const arrow = edge.oneSided ? '-.->' : '-->';
+    lines.push(`  ${edge.from} ${arrow}|"${mermaidText(edge.label)}"| ${edge.to}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+const dotText = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+function toDot({ nodes, edges }, name) {
+  const lines = [`digraph ${dotText(name)} {`, '  rankdir=LR;', '  node [shape=box];'];
+  for (const node of nodes) {
+    lines.push(`  ${node.id} [label=${dotText(node.label)}];`);
+  }
+  for (const edge of edges) {
+    const style = edge.oneSided ? ', style=dashed' : '';
+    lines.push(`  ${edge.from} -> ${edge.to} [label=${dotText(edge.label)}${style}];`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+const xmlText = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Every node attribute but the id becomes a GraphML key of type string
+function toGraphML({ nodes, edges }, name) {
+  const nodeKeys = [...new Set(nodes.flatMap((node) => Object.keys(node)))].filter((key) => key !== 'id');
+  const edgeKeys = ['label', 'type', 'oneSided'];
+  const data = (key, value) => (value == null ? [] : [`      <data key="${key}">${xmlText(value)}</data>`]);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...nodeKeys.map((key) => `  <key id="${key}" for="node" attr.name="${key}" attr.type="string"/>`),
+    ...edgeKeys.map(
+      (key) =>
+        `  <key id="edge_${key}" for="edge" attr.name="${key}" attr.type="${key === 'oneSided' ? 'boolean' : 'string'}"/>`
+    ),
+    `  <graph id="${xmlText(name)}" edgedefault="directed">`,
+    ...nodes.flatMap((node) => [
+      `    <node id="${node.id}">`,
+      ...nodeKeys.flatMap((key) => data(key, node[key])),
+      '    </node>',
+    ]),
+    ...edges.flatMap((edge, index) => [
+      `    <edge id="e${index}" source="${edge.from}" target="${edge.to}">`,
+      ...edgeKeys.flatMap((key) => data(`edge_${key}`, edge[key])),
+      '    </edge>',
+    ]),
+    '  </graph>',
+    '</graphml>',
+    '',
+  ].join('\n');
+}
+
+const FORMATTERS = { mermaid: toMermaid, dot: toDot, graphml: toGraphML };
+
+/**
+ * Graph as a document in the given format
+ * @param {object} graph - { nodes, edges }
+ * @param {'mermaid'|'dot'|'graphml'} format
+ * @param {string} [name] - Name of the graph (DOT and GraphML)
+ * @returns {string}
+ */
+export function exportGraph(graph, format, name = 'graph') {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown graph format "${format}". Use one of: ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+  return formatter(graph, name);
+}
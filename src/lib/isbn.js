@@ -0,0 +1,97 @@
+/**
+ * ISBN parsing and validation
+ * ISBNs are written with or without hyphens and spaces, as ISBN-10 or
+ * ISBN-13 ("978-3-8338-3853-3", "3833838531"). Both are reduced to the
+ * ISBN-13 digits, so every form of the same book compares equal.
+ */
+
+import { InvalidIsbnError } from './errors.js';
+
+// "ISBN", "ISBN-13:" etc. in front of the number
+const ISBN_LABEL = /^ISBN(?:-?1[03])?:?/;
+
+/**
+ * The ISBN without label, hyphens and spaces, upper case ("978-3-..." -> "9783...")
+ */
+export function compactIsbn(value) {
+  return String(value ?? '')
+    .toUpperCase()
+    // Spaces, hyphens and the Unicode dashes
+    .replace(/[\s\u2010-\u2015-]/g, '')
+    .replace(ISBN_LABEL, '');
+}
+
+function isbn10CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(digits[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function checkDigit(value, compact, expected) {
+  const actual = compact[compact.length - 1];
+  if (actual !== expected) {
+    throw new InvalidIsbnError(value, `check digit should be ${expected}, not ${actual}`);
+  }
+}
+
+/**
+ * Parse an ISBN-10 or ISBN-13, throws InvalidIsbnError saying what is wrong
+ * @param {string|number} value
+ * @returns {{ isbn13: string, isbn10: string|null }} Digits only; isbn10 is null
+ *   for ISBN-13s starting with 979, which have no ISBN-10
+ */
+export function parseIsbn(value) {
+  const compact = compactIsbn(value);
+
+  if (compact === '') {
+    throw new InvalidIsbnError(value, 'it is empty');
+  }
+  if (!/^[0-9]*[0-9X]$/.test(compact)) {
+    throw new InvalidIsbnError(value, 'only digits, hyphens and spaces are allowed (and X as the last character of an ISBN-10)');
+  }
+
+  if (compact.length === 10) {
+    checkDigit(value, compact, isbn10CheckDigit(compact));
+    const isbn13 = `978${compact.slice(0, 9)}`;
+    return { isbn13: isbn13 + isbn13CheckDigit(isbn13), isbn10: compact };
+  }
+
+  if (compact.length === 13) {
+    if (compact.endsWith('X')) {
+      throw new InvalidIsbnError(value, 'X is only allowed as the check digit of an ISBN-10');
+    }
+    if (!compact.startsWith('978') && !compact.startsWith('979')) {
+      throw new InvalidIsbnError(value, 'an ISBN-13 starts with 978 or 979');
+    }
+    checkDigit(value, compact, isbn13CheckDigit(compact));
+    const isbn10 = compact.startsWith('978') ? compact.slice(3, 12) + isbn10CheckDigit(compact.slice(3)) : null;
+    return { isbn13: compact, isbn10 };
+  }
+
+  throw new InvalidIsbnError(value, `it has ${compact.length} digits, an ISBN has 10 or 13`);
+}
+
+/**
+ * ISBN-13 digits of a valid ISBN, or null
+ */
+export function toIsbn13(value) {
+  try {
+    return parseIsbn(value).isbn13;
+  } catch (error) {
+    if (error instanceof InvalidIsbnError) {
+      return null;
+    }
+    throw error;
+  }
+}
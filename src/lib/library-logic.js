@@ -3,28 +3,30 @@
  * Shared logic for both MCP and REST API
  */
 
-import { Cache } from './cache.js';
+import { config } from './config.js';
+import { DatasetLoader } from './dataset-loader.js';
+import { NotFoundError } from './errors.js';
+import { findClosest } from './fuzzy-match.js';
+import { getQueryFields, searchIndex } from './query-language.js';
+import { SearchIndex } from './search-index.js';
 
-const API_URL = 'https://www.ahaan-thai.de/api/thai-cook-book-library.json';
-const URL_PREFIX_DE_EN = 'https://www.ahaan-thai.de';
-const IMAGE_URL_PREFIX = 'https://bilder.koch-reis.de/';
-const cache = new Cache(5 * 60 * 1000); // 5 minutes
+export const DATASET = 'library';
 
 function processRecipeUrls(recipe) {
   const processedRecipe = { ...recipe };
 
   // Add URL prefixes for url_de and url_en if they exist and are relative
   if (processedRecipe.url_de && !processedRecipe.url_de.startsWith('http')) {
-    processedRecipe.url_de = URL_PREFIX_DE_EN + (processedRecipe.url_de.startsWith('/') ? '' : '/') + processedRecipe.url_de;
+    processedRecipe.url_de = config.upstream.siteUrl + (processedRecipe.url_de.startsWith('/') ? '' : '/') + processedRecipe.url_de;
   }
 
   if (processedRecipe.url_en && !processedRecipe.url_en.startsWith('http')) {
-    processedRecipe.url_en = URL_PREFIX_DE_EN + (processedRecipe.url_en.startsWith('/') ? '' : '/') + processedRecipe.url_en;
+    processedRecipe.url_en = config.upstream.siteUrl + (processedRecipe.url_en.startsWith('/') ? '' : '/') + processedRecipe.url_en;
   }
 
   // Add image URL prefix if imageUrl exists and is relative
   if (processedRecipe.imageUrl && !processedRecipe.imageUrl.startsWith('http')) {
-    processedRecipe.imageUrl = IMAGE_URL_PREFIX + (processedRecipe.imageUrl.startsWith('/') ? processedRecipe.imageUrl.substring(1) : processedRecipe.imageUrl);
+    processedRecipe.imageUrl = config.upstream.imageBaseUrl + (processedRecipe.imageUrl.startsWith('/') ? processedRecipe.imageUrl.substring(1) : processedRecipe.imageUrl);
   }
 
   return processedRecipe;
@@ -43,19 +45,7 @@ function processRecipesUrls(recipes) {
   return recipes;
 }
 
-export async function fetchLibrary() {
-  const cached = cache.get();
-  if (cached) {
-    return cached;
-  }
-
-  const response = await fetch(API_URL);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-  }
-
-  const responseJson = await response.json();
-
+function processLibrary(responseJson) {
   if (!responseJson || typeof responseJson !== 'object') {
     throw new Error('Invalid data structure received from API');
   }
@@ -66,10 +56,94 @@ export async function fetchLibrary() {
     processedData[cookbookName] = processRecipesUrls(cookbook);
   }
 
-  cache.set(processedData);
   return processedData;
 }
 
+const SEARCH_FIELDS = ['title_de', 'title_en', 'transcript_de', 'thai'].map((path) => ({
+  path,
+  get: (recipe) => recipe[path],
+}));
+
+const sameValue = (value, expected) => String(value ?? '').toLowerCase() === expected.toLowerCase();
+
+// Field prefixes of the query language (see query-language.js)
+const QUERY_OPTIONS = {
+  fields: {
+    title: { paths: ['title_de', 'title_en'] },
+    thai: { paths: ['thai'] },
+    transcription: { paths: ['transcript_de'] },
+    region: { match: (recipe, value) => sameValue(recipe.region, value) },
+    cookbook: { match: (recipe, value) => sameValue(recipe.cookbook, value) }
+  },
+  languages: {
+    de: ['title_de', 'transcript_de', 'thai'],
+    en: ['title_en', 'thai']
+  }
+};
+
+export const QUERY_FIELDS = getQueryFields(QUERY_OPTIONS);
+
+// One search record per recipe, shaped like the search results
+function buildSearchIndex(data) {
+  const recipes = Object.entries(data).flatMap(([cookbookName, cookbookData]) =>
+    Object.entries(cookbookData).map(([recipeKey, recipe]) => ({
+      ...recipe,
+      cookbook: cookbookName,
+      recipe_key: recipeKey
+    }))
+  );
+  return new SearchIndex(recipes, SEARCH_FIELDS);
+}
+
+const loader = new DatasetLoader(DATASET, { transform: processLibrary, index: buildSearchIndex });
+
+function cookbookNotFound(data, cookbookName, message) {
+  return new NotFoundError(message, {
+    argument: 'cookbook',
+    value: cookbookName,
+    suggestions: findClosest(
+      cookbookName,
+      Object.keys(data).map((name) => ({ value: name, texts: [name, name.replace(/_/g, ' ')] }))
+    ),
+  });
+}
+
+// Recipes are also found by their title, transcription or Thai name
+function recipeNotFound(cookbookName, cookbook, recipeKey) {
+  return new NotFoundError(`Recipe "${recipeKey}" not found in cookbook "${cookbookName}".`, {
+    argument: 'recipe_key',
+    value: recipeKey,
+    suggestions: findClosest(
+      recipeKey,
+      Object.entries(cookbook).map(([key, recipe]) => ({
+        value: key,
+        texts: [key, key.replace(/^\d+\s*/, ''), recipe.title_de, recipe.title_en, recipe.transcript_de, recipe.thai],
+        label: recipe.title_en || recipe.title_de,
+      }))
+    ),
+  });
+}
+
+export async function fetchLibrary() {
+  return await loader.load();
+}
+
+export function getCacheInfo() {
+  return loader.getCacheInfo();
+}
+
+export function getLoadStatus() {
+  return loader.getStatus();
+}
+
+export async function refreshData() {
+  return await loader.refresh();
+}
+
+export async function getDataQualityReport() {
+  return await loader.getQualityReport();
+}
+
 export async function listCookbooks() {
   const data = await fetchLibrary();
 
@@ -88,43 +162,47 @@ export async function getCookbookRecipes(cookbookName) {
 
   if (!cookbook) {
     const available = Object.keys(data);
-    throw new Error(`Cookbook "${cookbookName}" not found. Available: ${available.join(', ')}`);
+    throw cookbookNotFound(data, cookbookName, `Cookbook "${cookbookName}" not found. Available: ${available.join(', ')}.`);
   }
 
   return cookbook;
 }
 
-export async function searchRecipes(params = {}) {
+/**
+ * Recipe keys of a cookbook, or of all cookbooks without one
+ */
+export async function getRecipeKeys(cookbookName = null) {
   const data = await fetchLibrary();
-  const { query, region, cookbook } = params;
-
-  const results = [];
+  if (cookbookName) {
+    return Object.keys(data[cookbookName] || {});
+  }
+  return [...new Set(Object.values(data).flatMap((cookbook) => Object.keys(cookbook)))];
+}
 
-  for (const [cookbookName, cookbookData] of Object.entries(data)) {
-    // Filter by cookbook if specified
-    if (cookbook && cookbookName !== cookbook) continue;
+/**
+ * Index matches of a query, best first, as returned by SearchIndex.search
+ * (used by the cross-dataset search)
+ */
+export async function findMatches(searchTerm) {
+  const index = await loader.loadIndex();
+  return searchIndex(index, searchTerm, { ...QUERY_OPTIONS, rankBy: 'quality' });
+}
 
-    for (const [recipeKey, recipe] of Object.entries(cookbookData)) {
-      // Filter by region if specified
-      if (region && recipe.region !== region) continue;
+export async function searchRecipes(params = {}) {
+  const { query, region, cookbook } = params;
+  const index = await loader.loadIndex();
 
-      // Text search if specified
-      if (query) {
-        const searchText = `${recipe.title_de} ${recipe.title_en} ${recipe.transcript_de} ${recipe.thai}`.toLowerCase();
-        if (!searchText.includes(query.toLowerCase())) continue;
-      }
+  // Filter by cookbook and region if specified
+  const filter = (recipe) => (!cookbook || recipe.cookbook === cookbook) && (!region || recipe.region === region);
 
-      results.push({
-        ...recipe,
-        cookbook: cookbookName,
-        recipe_key: recipeKey
-      });
-    }
-  }
+  // Text search if specified, best matches first, tolerant of other romanizations and typos
+  const recipes = query
+    ? searchIndex(index, query, { ...QUERY_OPTIONS, rankBy: 'quality', filter }).map(({ record }) => record)
+    : index.records.filter(filter);
 
   return {
-    total_results: results.length,
-    recipes: results
+    total_results: recipes.length,
+    recipes
   };
 }
 
@@ -133,12 +211,12 @@ export async function getRecipeByKey(cookbookName, recipeKey) {
   const cookbook = data[cookbookName];
 
   if (!cookbook) {
-    throw new Error(`Cookbook "${cookbookName}" not found`);
+    throw cookbookNotFound(data, cookbookName, `Cookbook "${cookbookName}" not found.`);
   }
 
   const recipe = cookbook[recipeKey];
   if (!recipe) {
-    throw new Error(`Recipe "${recipeKey}" not found in cookbook "${cookbookName}"`);
+    throw recipeNotFound(cookbookName, cookbook, recipeKey);
   }
 
   return {
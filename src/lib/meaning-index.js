@@ -0,0 +1,217 @@
+/**
+ * Reverse index from German and English meanings to dictionary terms
+ * "Klebreis", "fish sauces" or "Nudeln" are looked up by word stems of the
+ * meanings, so plurals and other inflections match, and German compounds
+ * are matched by their parts ("Reis" finds "Klebreis" and "Reisnudeln").
+ */
+
+import { normalizeForSearch } from './thai-text.js';
+
+// Stems shorter than this are not shortened further or matched as parts
+const MIN_STEM_LENGTH = 3;
+// Shortest query word that is looked up inside compounds ("Eis" is not in "Reis")
+const MIN_PART_LENGTH = 4;
+
+// Match types, best first, with the score of a result. A German compound
+// is a kind of its last part ("Klebreis" is rice, "Reisnudeln" are noodles),
+// so a match of the last part ranks above the start of a word.
+export const MATCH_SCORES = {
+  exact: 1,
+  inflection: 0.95,
+  prefix: 0.85,
+  word: 0.8,
+  compound: 0.75,
+  'word-prefix': 0.7,
+};
+
+// Plural and case endings, longest first
+const GERMAN_SUFFIXES = ['ern', 'en', 'er', 'e', 'n', 's'];
+
+function stripSuffix(word, suffixes) {
+  const suffix = suffixes.find((ending) => word.endsWith(ending) && word.length - ending.length >= MIN_STEM_LENGTH);
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// Umlauts fold to the plain vowel, so plurals like "Nüsse" / "Nuss" share a stem
+function foldGerman(word) {
+  return word
+    .replace(/ä|ae/g, 'a')
+    .replace(/ö|oe/g, 'o')
+    .replace(/ü|ue/g, 'u')
+    .replace(/ß/g, 'ss');
+}
+
+function stemEnglish(word) {
+  if (word.length > MIN_STEM_LENGTH + 2 && word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(?:sh|ch|ss|x|o)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.length > MIN_STEM_LENGTH && /[^su]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+const LANGUAGES = {
+  de: { fold: foldGerman, stem: (word) => stripSuffix(word, GERMAN_SUFFIXES), compounds: true },
+  en: { fold: (word) => word, stem: stemEnglish, compounds: false },
+};
+
+/**
+ * Words of a text, folded and stemmed for the given language
+ * ("Curry-Nudelsuppe" -> [{ word: "curry", stem: "curry" }, { word: "nudelsuppe", stem: "nudelsupp" }]).
+ * For compounding languages `parts` adds every two adjacent words written
+ * as one, so "Currynudelsuppe" matches "Curry-Nudelsuppe".
+ */
+function analyze(text, language) {
+  const { fold, stem, compounds } = LANGUAGES[language];
+  const normalized = normalizeForSearch(text);
+  const words = normalized
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map((word) => {
+      const folded = fold(word);
+      return { word: folded, stem: stem(folded) };
+    });
+  const joined = compounds
+    ? words.slice(1).map((next, i) => ({ word: words[i].word + next.word, stem: words[i].word + next.stem }))
+    : [];
+  return {
+    text: words.map(({ word }) => word).join(' '),
+    stems: words.map(({ stem }) => stem).join(''),
+    words,
+    parts: [...words, ...joined],
+  };
+}
+
+// How well one query word matches one word of a meaning, best type first
+function matchWord(query, word, compounds) {
+  if (query.stem === word.stem || query.word === word.word) {
+    return 'word';
+  }
+  if (query.stem.length >= MIN_STEM_LENGTH && word.word.startsWith(query.stem)) {
+    return 'word-prefix';
+  }
+  if (
+    compounds &&
+    query.word.length >= MIN_PART_LENGTH &&
+    (word.word.endsWith(query.word) || word.stem.endsWith(query.stem))
+  ) {
+    return 'compound';
+  }
+  return null;
+}
+
+/**
+ * Match type of a query against a meaning, or null
+ * Every word of the query has to match a word of the meaning; the weakest
+ * of these word matches is the match of the meaning.
+ */
+function matchMeaning(query, meaning, compounds) {
+  if (meaning.text === query.text) {
+    return 'exact';
+  }
+  if (meaning.stems === query.stems) {
+    return 'inflection';
+  }
+  if (meaning.text.startsWith(query.text)) {
+    return 'prefix';
+  }
+
+  let weakest = null;
+  for (const queryWord of query.words) {
+    let best = null;
+    for (const word of meaning.parts) {
+      const type = matchWord(queryWord, word, compounds);
+      if (type && (!best || MATCH_SCORES[type] > MATCH_SCORES[best])) {
+        best = type;
+      }
+    }
+    if (!best) {
+      return null;
+    }
+    if (!weakest || MATCH_SCORES[best] < MATCH_SCORES[weakest]) {
+      weakest = best;
+    }
+  }
+  return weakest;
+}
+
+export class MeaningIndex {
+  /**
+   * @param {object[]} records - Dictionary terms
+   * @param {object} fields - Language -> field of the meaning in that language,
+   *   e.g. { de: 'meaning_de', en: 'meaning_en' }
+   */
+  constructor(records, fields) {
+    this.records = records;
+    this.languages = Object.keys(fields);
+    // language -> analyzed meaning per record id
+    this.meanings = {};
+    // language -> word stem -> ids of the records with a word of that stem
+    this.stems = {};
+
+    for (const [language, field] of Object.entries(fields)) {
+      const meanings = records.map((record) =>
+        typeof record[field] === 'string' ? analyze(record[field], language) : null
+      );
+      const stems = new Map();
+      meanings.forEach((meaning, id) => {
+        for (const { stem } of meaning?.words || []) {
+          stems.set(stem, (stems.get(stem) || new Set()).add(id));
+        }
+      });
+      this.meanings[language] = meanings;
+      this.stems[language] = stems;
+    }
+  }
+
+  // Ids of the records whose meaning can match the query: a superset of the
+  // records matchMeaning() accepts. One of their stems starts or ends with a
+  // stem of the query, or is the start of one ("Currynudelsuppe" -> "curry").
+  getCandidates(query, language) {
+    const ids = new Set();
+    for (const [stem, postings] of this.stems[language]) {
+      const matches = query.words.some(
+        (word) => stem.startsWith(word.stem) || stem.endsWith(word.stem) || word.stem.startsWith(stem)
+      );
+      if (matches) {
+        postings.forEach((id) => ids.add(id));
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Records whose meaning matches a German or English term, best first
+   * @param {string} term
+   * @param {object} [options]
+   * @param {string|null} [options.language] - Only meanings in this language (default all)
+   * @returns {object[]} { record, language, match, score }; per record the best
+   *   matching language, ties ordered by the shorter meaning, then record order
+   */
+  lookup(term, { language = null } = {}) {
+    const languages = language ? [language] : this.languages;
+    const best = new Map();
+
+    for (const lang of languages) {
+      const query = analyze(term, lang);
+      if (query.words.length === 0) {
+        continue;
+      }
+      for (const id of this.getCandidates(query, lang)) {
+        const meaning = this.meanings[lang][id];
+        const match = meaning && matchMeaning(query, meaning, LANGUAGES[lang].compounds);
+        if (match && (!best.has(id) || MATCH_SCORES[match] > best.get(id).score)) {
+          best.set(id, { id, language: lang, match, score: MATCH_SCORES[match], length: meaning.text.length });
+        }
+      }
+    }
+
+    return [...best.values()]
+      .sort((a, b) => b.score - a.score || a.length - b.length || a.id - b.id)
+      .map(({ id, language: lang, match, score }) => ({ record: this.records[id], language: lang, match, score }));
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Cursor-based pagination shared by all list and search tools
+ * A page has `total` (all items), the items under a tool specific key and,
+ * if more items follow, a `nextCursor` to pass as `cursor` for the next page.
+ * Cursors are opaque to clients; they encode the offset of the next item.
+ */
+
+import { InvalidCursorError } from './errors.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let offset;
+  try {
+    ({ offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')));
+  } catch {
+    throw new InvalidCursorError(cursor);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new InvalidCursorError(cursor);
+  }
+  return offset;
+}
+
+/**
+ * One page of a list
+ * @param {string} key - Property of the page holding the items, e.g. "recipes"
+ * @param {Array} items - All items, in their final order
+ * @param {object} [params]
+ * @param {string} [params.cursor] - nextCursor of the previous page, none for the first page
+ * @param {number} [params.limit] - Page size, capped at MAX_PAGE_SIZE
+ * @param {number} [defaultLimit] - Page size without a limit
+ * @returns {object} { total, [key]: items of the page, nextCursor? }
+ */
+export function paginate(key, items, { cursor, limit } = {}, defaultLimit = DEFAULT_PAGE_SIZE) {
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  const pageSize = Math.min(Math.max(Math.floor(limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+  const end = offset + pageSize;
+
+  return {
+    total: items.length,
+    [key]: items.slice(offset, end),
+    ...(end < items.length && { nextCursor: encodeCursor(end) }),
+  };
+}
+
+/**
+ * One page of an object, e.g. the recipes of a cookbook by recipe key
+ */
+export function paginateObject(key, object, params, defaultLimit) {
+  const page = paginate(key, Object.entries(object), params, defaultLimit);
+  return { ...page, [key]: Object.fromEntries(page[key]) };
+}
+
+/**
+ * JSON schema properties of the pagination parameters, for tool input schemas
+ */
+export function pageProperties(defaultLimit = DEFAULT_PAGE_SIZE) {
+  return {
+    cursor: {
+      type: 'string',
+      description: 'nextCursor of the previous page, omit for the first page',
+    },
+    limit: {
+      type: 'number',
+      description: `Maximum number of results per page (default: ${defaultLimit}, at most ${MAX_PAGE_SIZE})`,
+      minimum: 1,
+      maximum: MAX_PAGE_SIZE,
+    },
+  };
+}
@@ -0,0 +1,318 @@
+/**
+ * Search query language shared by all searches
+ *
+ *   tag:curry region:isaan -pork "green curry" lang:de
+ *   (khao OR kaeng) AND NOT title:"pad thai"
+ *
+ * Terms next to each other must all match (AND), OR and NOT (or a leading
+ * "-") combine them, parentheses group them. "Quoted phrases" match exactly,
+ * without other romanizations or typos. A "field:" prefix restricts a term
+ * to the fields it is mapped to in each dataset; lang:de / lang:en limits
+ * the unqualified terms to the texts in that language. Prefixes that are no
+ * field of the dataset ("http://...") and a "-" on its own are plain text.
+ * A query without any of this syntax is a plain search term.
+ */
+
+import { QueryParseError } from './errors.js';
+import { prepareText } from './fuzzy-match.js';
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const FIELD_PREFIX = /^([a-z_]+):/i;
+
+/**
+ * Field names a dataset accepts as "field:" prefixes
+ * @param {object} options - Query options as passed to searchIndex ({ fields, languages })
+ */
+export function getQueryFields({ fields = {}, languages = null } = {}) {
+  return [...Object.keys(fields), ...(languages && !fields.lang ? ['lang'] : [])];
+}
+
+function tokenize(input, fields) {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new QueryParseError('unterminated phrase, add the closing "', start);
+    }
+    const value = input.slice(start + 1, end);
+    if (value.trim() === '') {
+      throw new QueryParseError('empty phrase', start);
+    }
+    i = end + 1;
+    return value;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    const position = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      i++;
+    } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'operator', value: 'NOT', position });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'term', field: null, value: readPhrase(i), phrase: true, position });
+    } else {
+      let end = i;
+      while (end < input.length && !/[\s()"]/.test(input[end])) {
+        end++;
+      }
+      const word = input.slice(i, end);
+      i = end;
+
+      const prefix = word.match(FIELD_PREFIX);
+      if (OPERATORS.includes(word)) {
+        tokens.push({ type: 'operator', value: word, position });
+      } else if (prefix && fields.includes(prefix[1].toLowerCase())) {
+        const field = prefix[1].toLowerCase();
+        const rest = word.slice(prefix[0].length);
+        if (rest !== '') {
+          tokens.push({ type: 'term', field, value: rest, phrase: false, position });
+        } else if (input[i] === '"') {
+          tokens.push({ type: 'term', field, value: readPhrase(i), phrase: true, position });
+        } else {
+          throw new QueryParseError(`missing value after "${field}:"`, position);
+        }
+      } else {
+        tokens.push({ type: 'term', field: null, value: word, phrase: false, position });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into a syntax tree of and/or/not/term nodes
+ * (null for an empty query). Throws QueryParseError.
+ * @param {string} input
+ * @param {string[]} [fields] - Field names recognized as "field:" prefixes
+ */
+export function parseQuery(input, fields = []) {
+  const tokens = tokenize(input, fields);
+  let next = 0;
+
+  const peek = () => tokens[next];
+  const describe = (token) => (token.type === 'operator' ? token.value : `"${token.type}"`);
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'operator' && peek().value === 'OR') {
+      const operator = tokens[next++];
+      if (!peek() || peek().type === ')') {
+        throw new QueryParseError('OR must be followed by a term', operator.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    while (peek() && peek().type !== ')' && !(peek().type === 'operator' && peek().value === 'OR')) {
+      if (peek().type === 'operator' && peek().value === 'AND') {
+        const operator = tokens[next++];
+        if (!peek() || peek().type === ')') {
+          throw new QueryParseError('AND must be followed by a term', operator.position);
+        }
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseNot() {
+    const token = peek();
+    if (token?.type === 'operator' && token.value === 'NOT') {
+      next++;
+      if (!peek() || peek().type === ')') {
+        throw new QueryParseError('NOT must be followed by a term', token.position);
+      }
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[next++];
+    if (!token) {
+      throw new QueryParseError('unexpected end of query', input.length);
+    }
+    if (token.type === 'term') {
+      return { type: 'term', field: token.field, value: token.value, phrase: token.phrase };
+    }
+    if (token.type === '(') {
+      if (peek()?.type === ')') {
+        throw new QueryParseError('empty parentheses', token.position);
+      }
+      const node = parseOr();
+      if (peek()?.type !== ')') {
+        throw new QueryParseError('missing closing parenthesis', token.position);
+      }
+      next++;
+      return node;
+    }
+    throw new QueryParseError(`unexpected ${describe(token)}`, token.position);
+  }
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const tree = parseOr();
+  if (next < tokens.length) {
+    throw new QueryParseError(`unexpected ${describe(tokens[next])}`, tokens[next].position);
+  }
+  return tree;
+}
+
+/**
+ * True if the query uses none of the query syntax
+ * @param {string} input
+ * @param {string[]} [fields] - Field names recognized as "field:" prefixes
+ */
+export function isPlainQuery(input, fields = []) {
+  return tokenize(input, fields).every((token) => token.type === 'term' && !token.field && !token.phrase);
+}
+
+const isLangTerm = (node) => node.type === 'term' && node.field === 'lang';
+
+function findLangTerms(node) {
+  if (node.type === 'term') {
+    return isLangTerm(node) ? [node] : [];
+  }
+  return node.type === 'not' ? findLangTerms(node.child) : node.children.flatMap(findLangTerms);
+}
+
+// lang: applies to the whole query, so it is only allowed once and at the top level
+function extractLanguage(tree, languages) {
+  const topLevel = tree.type === 'and' ? tree.children : [tree];
+  const langTerms = topLevel.filter(isLangTerm);
+  if (langTerms.length > 1 || findLangTerms(tree).length > langTerms.length) {
+    throw new QueryParseError('lang: can only be used once and not inside OR or NOT');
+  }
+  if (langTerms.length === 0) {
+    return { tree, lang: null };
+  }
+
+  const lang = langTerms[0].value.toLowerCase();
+  if (!languages[lang]) {
+    throw new QueryParseError(`unknown language "${lang}". Use one of: ${Object.keys(languages).join(', ')}`);
+  }
+
+  const rest = topLevel.filter((node) => !isLangTerm(node));
+  const remaining = rest.length === 0 ? null : rest.length === 1 ? rest[0] : { type: 'and', children: rest };
+  return { tree: remaining, lang };
+}
+
+function combine(a, b) {
+  return {
+    score: a.score + b.score,
+    quality: Math.max(a.quality, b.quality),
+    matchedFields: [...new Set([...a.matchedFields, ...b.matchedFields])],
+  };
+}
+
+/**
+ * Run a query on a SearchIndex. Plain queries use SearchIndex.search,
+ * everything else is parsed and evaluated term by term.
+ * @param {import('./search-index.js').SearchIndex} index
+ * @param {string} input - The query
+ * @param {object} [options]
+ * @param {object} [options.fields] - Query fields of the dataset: name -> { paths: [...] }
+ *   (index fields) or { match: (record, value) => boolean } (exact filters)
+ * @param {object} [options.languages] - lang -> index field paths, enables lang:
+ * @param {'score'|'quality'} [options.rankBy] - Sort key (default score); ties keep the record order
+ * @param {(record: object) => boolean} [options.filter] - Only records passing this filter
+ * @returns {object[]} { record, score, quality, matchedFields }, best first
+ */
+export function searchIndex(index, input, { fields = {}, languages = null, rankBy = 'score', filter = null } = {}) {
+  const available = getQueryFields({ fields, languages });
+  if (isPlainQuery(input, available)) {
+    return index.search(input, { rankBy, filter });
+  }
+
+  const parsed = parseQuery(input, available);
+  const { tree, lang } = languages && !fields.lang ? extractLanguage(parsed, languages) : { tree: parsed, lang: null };
+  const allIds = index.allIds();
+
+  function evaluate(node) {
+    switch (node.type) {
+      case 'term': {
+        const spec = node.field ? fields[node.field] : null;
+
+        if (spec?.match) {
+          const matches = new Map();
+          for (const id of allIds) {
+            if (spec.match(index.records[id], node.value)) {
+              matches.set(id, { score: 1, quality: 1, matchedFields: [node.field] });
+            }
+          }
+          return matches;
+        }
+
+        // Punctuation like a lone "-" has no searchable text and does not restrict the search
+        const query = prepareText(node.value);
+        if (query.words.length === 0) {
+          return new Map(allIds.map((id) => [id, { score: 0, quality: 0, matchedFields: [] }]));
+        }
+        const paths = spec ? spec.paths : lang ? languages[lang] : null;
+        return index.matchTerm(query, { paths, exact: node.phrase });
+      }
+
+      case 'and': {
+        const positive = node.children.filter((child) => child.type !== 'not');
+        const negative = node.children.filter((child) => child.type === 'not');
+
+        let result = null;
+        for (const child of positive) {
+          const matches = evaluate(child);
+          result =
+            result === null
+              ? matches
+              : new Map([...result].filter(([id]) => matches.has(id)).map(([id, match]) => [id, combine(match, matches.get(id))]));
+        }
+        if (result === null) {
+          result = new Map(allIds.map((id) => [id, { score: 0, quality: 0, matchedFields: [] }]));
+        }
+
+        for (const child of negative) {
+          const excluded = evaluate(child.child);
+          result = new Map([...result].filter(([id]) => !excluded.has(id)));
+        }
+        return result;
+      }
+
+      case 'or': {
+        const result = new Map();
+        for (const child of node.children) {
+          for (const [id, match] of evaluate(child)) {
+            result.set(id, result.has(id) ? combine(result.get(id), match) : match);
+          }
+        }
+        return result;
+      }
+
+      case 'not': {
+        const excluded = evaluate(node.child);
+        return new Map(
+          allIds.filter((id) => !excluded.has(id)).map((id) => [id, { score: 0, quality: 0, matchedFields: [] }])
+        );
+      }
+    }
+  }
+
+  const matches = tree ? evaluate(tree) : new Map(allIds.map((id) => [id, { score: 0, quality: 1, matchedFields: [] }]));
+
+  return [...matches]
+    .sort(([a], [b]) => a - b)
+    .map(([id, match]) => ({ record: index.records[id], ...match, score: Math.round(match.score * 100) / 100 }))
+    .filter(({ record }) => !filter || filter(record))
+    .sort((a, b) => b[rankBy] - a[rankBy]);
+}
@@ -0,0 +1,198 @@
+/**
+ * Zod schemas for the raw upstream records
+ * Records that do not match are quarantined at load time instead of
+ * crashing searches later on
+ */
+
+import { z } from 'zod';
+
+const optionalString = z.string().nullish();
+const optionalNumberOrString = z.union([z.number(), z.string()]).nullish();
+const stringOrStringList = z.union([z.string(), z.array(z.string())]).nullish();
+
+export const dictionaryEntrySchema = z
+  .object({
+    meaning_de: z.string(),
+    meaning_en: z.string(),
+    trans_de: z.string(),
+    trans_en: z.string(),
+  })
+  .passthrough();
+
+export const bookSchema = z
+  .object({
+    title: z.string(),
+    author: optionalString,
+    year: optionalNumberOrString,
+    lang: optionalString,
+    isbn: optionalNumberOrString,
+    level: optionalNumberOrString,
+    publisher: optionalString,
+    description: optionalString,
+    text: optionalString,
+    shop: optionalString,
+    target: optionalString,
+    location: optionalString,
+    image: optionalString,
+  })
+  .passthrough();
+
+export const recipeSchema = z
+  .object({
+    title_de: optionalString,
+    title_en: optionalString,
+    transcript_de: optionalString,
+    thai: optionalString,
+    region: optionalString,
+    url_de: optionalString,
+    url_en: optionalString,
+    imageUrl: optionalString,
+  })
+  .passthrough();
+
+const encyclopediaLanguageSchema = z
+  .object({
+    transcription: optionalString,
+    summary: optionalString,
+    description: optionalString,
+    tags: z.array(z.string()).nullish(),
+    regions: z.array(z.string()).nullish(),
+    url: stringOrStringList,
+    recipes: stringOrStringList,
+    uses: stringOrStringList,
+    usedBy: stringOrStringList,
+    fits: stringOrStringList,
+    fittedBy: stringOrStringList,
+    variations: stringOrStringList,
+    variationOf: stringOrStringList,
+  })
+  .passthrough();
+
+export const encyclopediaEntrySchema = z
+  .object({
+    thaiName: z.string(),
+    alternativeNames: z.array(z.string()).nullish(),
+    imageUrl: optionalString,
+    de: encyclopediaLanguageSchema.nullish(),
+    en: encyclopediaLanguageSchema.nullish(),
+  })
+  .passthrough();
+
+function formatIssues(error) {
+  return error.issues.map((issue) => ({
+    path: issue.path.join('.'),
+    message: issue.message,
+  }));
+}
+
+function checkRecord(schema, key, record, quarantined) {
+  const result = schema.safeParse(record);
+  if (!result.success) {
+    quarantined.push({ key, errors: formatIssues(result.error), record });
+    return false;
+  }
+  return true;
+}
+
+function requireShape(dataset, condition, expected) {
+  if (!condition) {
+    throw new Error(`Invalid data structure received for "${dataset}": expected ${expected}`);
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validators = {
+  dictionary(raw, quarantined) {
+    requireShape('dictionary', isPlainObject(raw), 'an object of categories');
+    const data = {};
+    for (const [category, entries] of Object.entries(raw)) {
+      if (!isPlainObject(entries)) {
+        quarantined.push({ key: category, errors: [{ path: '', message: 'Category is not an object' }], record: entries });
+        continue;
+      }
+      data[category] = {};
+      for (const [thai, details] of Object.entries(entries)) {
+        if (checkRecord(dictionaryEntrySchema, `${category}/${thai}`, details, quarantined)) {
+          data[category][thai] = details;
+        }
+      }
+    }
+    return data;
+  },
+
+  books(raw, quarantined) {
+    requireShape('books', Array.isArray(raw), 'an array of books');
+    return raw.filter((book, index) =>
+      checkRecord(bookSchema, book?.isbn ? String(book.isbn) : `#${index}`, book, quarantined)
+    );
+  },
+
+  library(raw, quarantined) {
+    requireShape('library', isPlainObject(raw), 'an object of cookbooks');
+    const data = {};
+    for (const [cookbook, recipes] of Object.entries(raw)) {
+      if (Array.isArray(recipes)) {
+        data[cookbook] = recipes.filter((recipe, index) =>
+          checkRecord(recipeSchema, `${cookbook}/#${index}`, recipe, quarantined)
+        );
+      } else if (isPlainObject(recipes)) {
+        data[cookbook] = {};
+        for (const [recipeKey, recipe] of Object.entries(recipes)) {
+          if (checkRecord(recipeSchema, `${cookbook}/${recipeKey}`, recipe, quarantined)) {
+            data[cookbook][recipeKey] = recipe;
+          }
+        }
+      } else {
+        quarantined.push({ key: cookbook, errors: [{ path: '', message: 'Cookbook is not an object' }], record: recipes });
+      }
+    }
+    return data;
+  },
+
+  encyclopedia(raw, quarantined) {
+    requireShape('encyclopedia', Array.isArray(raw), 'an array of entries');
+    return raw.filter((entry, index) =>
+      checkRecord(encyclopediaEntrySchema, entry?.thaiName || `#${index}`, entry, quarantined)
+    );
+  },
+};
+
+function countRecords(data) {
+  if (Array.isArray(data)) {
+    return data.length;
+  }
+  // Dictionary and library are nested one level: category/cookbook -> records
+  return Object.values(data).reduce(
+    (sum, records) => sum + (Array.isArray(records) ? records.length : Object.keys(records).length),
+    0
+  );
+}
+
+/**
+ * Validate the raw JSON of a dataset record by record.
+ * Returns the data without the invalid records plus a quality report.
+ * Throws if the dataset as a whole has the wrong structure.
+ */
+export function validateDataset(dataset, raw) {
+  const validate = validators[dataset];
+  if (!validate) {
+    return { data: raw, quality: null };
+  }
+
+  const quarantined = [];
+  const data = validate(raw, quarantined);
+  const validRecords = countRecords(data);
+
+  return {
+    data,
+    quality: {
+      dataset,
+      checkedAt: new Date().toISOString(),
+      totalRecords: validRecords + quarantined.length,
+      validRecords,
+      quarantinedRecords: quarantined.length,
+      quarantined,
+    },
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Inverted indexes for searching a dataset
+ * Built once per loaded dataset: a token index of whole words (normalized
+ * and transliteration-folded) and a character n-gram index. A query is only
+ * scored against the records whose n-grams can match it at all, instead of
+ * walking the whole dataset.
+ */
+
+import { getMaxDistance, prepareText, scoreMatch } from './fuzzy-match.js';
+
+const NGRAM_SIZE = 2;
+
+function getNgrams(text) {
+  const ngrams = new Set();
+  for (let i = 0; i + NGRAM_SIZE <= text.length; i++) {
+    ngrams.add(text.slice(i, i + NGRAM_SIZE));
+  }
+  return ngrams;
+}
+
+// Postings are lists of record ids in ascending order
+function addPosting(index, key, id) {
+  const postings = index.get(key);
+  if (!postings) {
+    index.set(key, [id]);
+  } else if (postings[postings.length - 1] !== id) {
+    postings.push(id);
+  }
+}
+
+function intersectSorted(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
+
+export class SearchIndex {
+  /**
+   * @param {object[]} records - Search results are records of this list
+   * @param {object[]} fields - Searchable fields of a record
+   * @param {string} fields[].path - Name reported in matchedFields
+   * @param {(record: object) => string|string[]} fields[].get - Value(s) of the field
+   * @param {number} [fields[].weight] - Contribution of a match to the score (default 1)
+   * @param {boolean} [fields[].fuzzy] - Allow typos (default true), off for long texts
+   */
+  constructor(records, fields) {
+    this.records = records;
+    this.documents = [];
+    this.tokens = new Map();
+    // n-grams of the normalized texts, of the folded texts, and of the folded
+    // texts of the fields that tolerate typos
+    this.textNgrams = new Map();
+    this.foldedNgrams = new Map();
+    this.fuzzyNgrams = new Map();
+
+    records.forEach((record, id) => {
+      const documentFields = [];
+
+      for (const { path, get, weight = 1, fuzzy = true } of fields) {
+        const value = get(record);
+        const values = (Array.isArray(value) ? value : [value]).filter(
+          (item) => typeof item === 'string' && item !== ''
+        );
+        if (values.length === 0) {
+          continue;
+        }
+
+        const texts = values.map(prepareText);
+        for (const text of texts) {
+          for (const token of [...text.text.split(' '), ...text.words]) {
+            addPosting(this.tokens, token, id);
+          }
+          getNgrams(text.text).forEach((ngram) => addPosting(this.textNgrams, ngram, id));
+          getNgrams(text.compact).forEach((ngram) => {
+            addPosting(this.foldedNgrams, ngram, id);
+            if (fuzzy) {
+              addPosting(this.fuzzyNgrams, ngram, id);
+            }
+          });
+        }
+        documentFields.push({ path, weight, fuzzy, texts });
+      }
+
+      this.documents.push({ record, fields: documentFields });
+    });
+  }
+
+  allIds() {
+    return this.records.map((_, id) => id);
+  }
+
+  // Ids of the records containing every n-gram of the text, shortest postings first
+  withAllNgrams(index, text) {
+    const postingLists = [...getNgrams(text)]
+      .map((ngram) => index.get(ngram) || [])
+      .sort((a, b) => a.length - b.length);
+
+    let ids = postingLists[0] || [];
+    for (const postings of postingLists.slice(1)) {
+      if (ids.length === 0) {
+        break;
+      }
+      ids = intersectSorted(ids, postings);
+    }
+    return ids;
+  }
+
+  // Ids of the records containing at least `required` of the n-grams
+  withSomeNgrams(index, ngrams, required) {
+    const counts = new Uint16Array(this.records.length);
+    const ids = [];
+    for (const ngram of ngrams) {
+      for (const id of index.get(ngram) || []) {
+        if (++counts[id] === required) {
+          ids.push(id);
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Ids of the records that can match the query: a superset of the records
+   * scoreMatch() accepts, in ascending order
+   */
+  getCandidates(query) {
+    // Too short for an n-gram, one letter only matches at the start of a word
+    if (query.text.length < NGRAM_SIZE) {
+      return this.getTokenPrefixIds(query.text);
+    }
+
+    const candidates = this.withAllNgrams(this.textNgrams, query.text);
+    if (!query.compact) {
+      return candidates;
+    }
+    if (query.compact.length < NGRAM_SIZE) {
+      return this.allIds();
+    }
+
+    // Same text in another romanization
+    const ngrams = getNgrams(query.compact);
+    candidates.push(...this.withAllNgrams(this.foldedNgrams, query.compact));
+
+    // Every typo destroys at most NGRAM_SIZE n-grams of the query (q-gram lemma)
+    const maxDistance = getMaxDistance(query.compact.length);
+    if (maxDistance > 0) {
+      const required = ngrams.size - NGRAM_SIZE * maxDistance;
+      if (required <= 0) {
+        return this.allIds();
+      }
+      candidates.push(...this.withSomeNgrams(this.fuzzyNgrams, ngrams, required));
+    }
+
+    return [...new Set(candidates)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Records matching the query, best first, as { record, score, quality, matchedFields }.
+   * score adds up weight x match quality of all matching fields, quality is the best
+   * match quality of a single field (see scoreMatch).
+   * @param {string} searchTerm
+   * @param {object} [options]
+   * @param {'score'|'quality'} [options.rankBy] - Sort key (default score); ties keep the record order
+   * @param {(record: object) => boolean} [options.filter] - Only records passing this filter
+   */
+  search(searchTerm, { rankBy = 'score', filter = null } = {}) {
+    const query = prepareText(searchTerm);
+    const matches = [];
+
+    // An empty query matches everything, in record order
+    if (!query.text) {
+      return this.records
+        .filter((record) => !filter || filter(record))
+        .map((record) => ({ record, score: 0, quality: 1, matchedFields: [] }));
+    }
+
+    for (const [id, match] of this.matchTerm(query)) {
+      const { record } = this.documents[id];
+      if (!filter || filter(record)) {
+        matches.push({ record, ...match, score: Math.round(match.score * 100) / 100 });
+      }
+    }
+
+    return matches.sort((a, b) => b[rankBy] - a[rankBy]);
+  }
+
+  /**
+   * Every record matching a prepared query, by record id, with its unrounded score
+   * @param {object} query - Result of prepareText()
+   * @param {object} [options]
+   * @param {string[]|null} [options.paths] - Only match these fields (default all)
+   * @param {boolean} [options.exact] - Only exact substring matches, see scoreMatch
+   * @returns {Map<number, {score: number, quality: number, matchedFields: string[]}>}
+   */
+  matchTerm(query, { paths = null, exact = false } = {}) {
+    const matches = new Map();
+
+    for (const id of this.getCandidates(query)) {
+      let score = 0;
+      let quality = 0;
+      const matchedFields = [];
+      for (const { path, weight, fuzzy, texts } of this.documents[id].fields) {
+        if (paths && !paths.includes(path)) {
+          continue;
+        }
+        const fieldQuality = Math.max(...texts.map((text) => scoreMatch(query, text, { fuzzy, exact })));
+        if (fieldQuality > 0) {
+          score += weight * fieldQuality;
+          quality = Math.max(quality, fieldQuality);
+          matchedFields.push(path);
+        }
+      }
+
+      if (score > 0) {
+        matches.set(id, { score, quality, matchedFields });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Records with a word equal to the token (normalized or folded), in record order
+   */
+  findToken(token) {
+    return (this.tokens.get(token) || []).map((id) => this.records[id]);
+  }
+
+  // Ids of the records with a word starting with the prefix, in ascending order
+  getTokenPrefixIds(prefix) {
+    const ids = new Set();
+    for (const [token, postings] of this.tokens) {
+      if (token.startsWith(prefix)) {
+        postings.forEach((id) => ids.add(id));
+      }
+    }
+    return [...ids].sort((a, b) => a - b);
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Offline snapshots of the upstream datasets
+ * Stores the raw API responses as versioned JSON files so the servers
+ * can run without access to ahaan-thai.de
+ */
+
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { appendChange, diffDatasets, hasChanges } from './changes.js';
+import { config, getDatasetUrl } from './config.js';
+import { logError, logInfo } from './logger.js';
+import { fetchUpstream } from './upstream.js';
+
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+export function getSnapshotDir() {
+  return config.snapshots.dir;
+}
+
+export function isOfflineMode() {
+  return config.snapshots.offline;
+}
+
+// Snapshot versions are UTC timestamps with milliseconds, so they sort
+// chronologically as strings; a counter is appended if one is already taken
+function createVersion(date, existing) {
+  const version = date.toISOString().replace(/[-:]/g, '');
+  let unique = version;
+  for (let counter = 1; existing.includes(unique); counter++) {
+    unique = `${version}-${counter}`;
+  }
+  return unique;
+}
+
+export async function listSnapshots(dataset) {
+  const dir = path.join(getSnapshotDir(), dataset);
+  try {
+    const files = await readdir(dir);
+    return files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => file.slice(0, -'.json'.length))
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+export async function readSnapshot(dataset, version = null) {
+  const versions = await listSnapshots(dataset);
+  const selected = version || versions[versions.length - 1];
+
+  if (!selected || !versions.includes(selected)) {
+    throw new Error(
+      version
+        ? `Snapshot "${version}" for dataset "${dataset}" not found in ${getSnapshotDir()}`
+        : `No snapshot for dataset "${dataset}" found in ${getSnapshotDir()}`
+    );
+  }
+
+  const file = path.join(getSnapshotDir(), dataset, `${selected}.json`);
+  const snapshot = JSON.parse(await readFile(file, 'utf8'));
+
+  if (snapshot.formatVersion !== SNAPSHOT_FORMAT_VERSION || snapshot.dataset !== dataset) {
+    throw new Error(`Snapshot ${file} is not a valid "${dataset}" snapshot`);
+  }
+
+  return snapshot;
+}
+
+export async function writeSnapshot(dataset, data, source = null) {
+  const dir = path.join(getSnapshotDir(), dataset);
+  await mkdir(dir, { recursive: true });
+
+  const fetchedAt = new Date();
+  const snapshot = {
+    formatVersion: SNAPSHOT_FORMAT_VERSION,
+    dataset,
+    version: createVersion(fetchedAt, await listSnapshots(dataset)),
+    fetchedAt: fetchedAt.toISOString(),
+    source,
+    data,
+  };
+
+  // Write to a temp file first so readers never see a half-written snapshot
+  const file = path.join(dir, `${snapshot.version}.json`);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await writeFile(tmpFile, JSON.stringify(snapshot, null, 2));
+  await rename(tmpFile, file);
+  await pruneSnapshots(dataset);
+
+  return { ...snapshot, file };
+}
+
+// Delete the oldest snapshots of a dataset beyond the configured number
+async function pruneSnapshots(dataset) {
+  const versions = await listSnapshots(dataset);
+  for (const version of versions.slice(0, Math.max(0, versions.length - config.snapshots.keep))) {
+    try {
+      await unlink(path.join(getSnapshotDir(), dataset, `${version}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logError(`Could not delete snapshot ${version} of "${dataset}":`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Load the raw JSON of a dataset.
+ * In offline mode the latest snapshot is used; otherwise the upstream API is
+ * fetched and the latest snapshot only serves as fallback when that fails.
+ * When validators ({ etag, lastModified }) of already cached data are passed,
+ * a conditional request is made which may resolve to { notModified: true },
+ * and failures are not replaced by an older snapshot. Neither are they with
+ * `fallback: false`, for reloads that must get the live data or fail.
+ */
+export async function fetchDataset(dataset, validators = {}, { fallback = true } = {}) {
+  const url = getDatasetUrl(dataset);
+
+  if (isOfflineMode()) {
+    const snapshot = await readSnapshot(dataset);
+    logInfo(`Loaded "${dataset}" from offline snapshot ${snapshot.version}`);
+    return { data: snapshot.data, etag: null, lastModified: null, source: 'snapshot' };
+  }
+
+  let result;
+  try {
+    result = await fetchUpstream(dataset, url, validators);
+  } catch (error) {
+    if (!fallback || validators.etag || validators.lastModified) {
+      throw error;
+    }
+
+    let snapshot;
+    try {
+      snapshot = await readSnapshot(dataset);
+    } catch {
+      throw error;
+    }
+    logError(`${error.message} - using snapshot ${snapshot.version} of "${dataset}" instead`);
+    return { data: snapshot.data, etag: null, lastModified: null, source: 'snapshot' };
+  }
+
+  if (!result.notModified && config.snapshots.trackChanges) {
+    try {
+      await trackDatasetVersion(dataset, result.data, { source: url });
+    } catch (error) {
+      logError(`Tracking changes of "${dataset}" failed:`, error.message);
+    }
+  }
+
+  return { ...result, source: 'live' };
+}
+
+/**
+ * Compare freshly fetched data with the latest snapshot. If it changed, a
+ * new snapshot is written and the diff is appended to the change log.
+ * With `force` a snapshot is written even if nothing changed.
+ */
+export async function trackDatasetVersion(dataset, data, { source = null, force = false } = {}) {
+  let previous = null;
+  try {
+    previous = await readSnapshot(dataset);
+  } catch {
+    // No snapshot yet: this version becomes the baseline
+  }
+
+  const diff = previous ? diffDatasets(dataset, previous.data, data) : null;
+  const changed = !previous || hasChanges(diff);
+  if (!changed && !force) {
+    return { snapshot: previous, change: null };
+  }
+
+  const snapshot = await writeSnapshot(dataset, data, source);
+  let change = null;
+  if (previous && hasChanges(diff)) {
+    change = {
+      dataset,
+      detectedAt: snapshot.fetchedAt,
+      fromVersion: previous.version,
+      toVersion: snapshot.version,
+      summary: { added: diff.added.length, removed: diff.removed.length, modified: diff.modified.length },
+      ...diff,
+    };
+    await appendChange(change);
+    logInfo(
+      `Detected changes in "${dataset}": ${change.summary.added} added, ${change.summary.removed} removed, ${change.summary.modified} modified`
+    );
+  }
+
+  return { snapshot, change };
+}
+
+/**
+ * Fetch a dataset from upstream (never from a snapshot) and store it as a new snapshot
+ */
+export async function createSnapshot(dataset) {
+  const url = getDatasetUrl(dataset);
+  const { data } = await fetchUpstream(dataset, url);
+  const { snapshot } = await trackDatasetVersion(dataset, data, { source: url, force: true });
+  return snapshot;
+}
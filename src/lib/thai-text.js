@@ -0,0 +1,69 @@
+/**
+ * Thai text normalization
+ * The same Thai word can be typed in several ways that look identical on
+ * screen: tone mark before or after an upper vowel, SARA AM as one or two
+ * characters, invisible zero-width spaces, Thai instead of Arabic digits.
+ * Search indexes and queries are normalized the same way so they match.
+ */
+
+// Zero-width space/joiners, word joiner, byte order mark and soft hyphen
+const INVISIBLE_CHARS = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+// Marks stacked on a consonant, in the order they are stored after normalization:
+// vowels above and below first, then tone marks and the other signs on top
+const MARK_ORDER = {
+  '\u0E31': 1, // MAI HAN-AKAT
+  '\u0E34': 1, // SARA I
+  '\u0E35': 1, // SARA II
+  '\u0E36': 1, // SARA UE
+  '\u0E37': 1, // SARA UEE
+  '\u0E38': 1, // SARA U
+  '\u0E39': 1, // SARA UU
+  '\u0E3A': 1, // PHINTHU
+  '\u0E47': 1, // MAITAIKHU
+  '\u0E4D': 1, // NIKHAHIT
+  '\u0E48': 2, // MAI EK
+  '\u0E49': 2, // MAI THO
+  '\u0E4A': 2, // MAI TRI
+  '\u0E4B': 2, // MAI CHATTAWA
+  '\u0E4C': 3, // THANTHAKHAT
+  '\u0E4E': 3, // YAMAKKAN
+};
+
+const MARK_RUN = /[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]{2,}/g;
+
+function reorderMarks(run) {
+  const marks = [...run].sort((a, b) => MARK_ORDER[a] - MARK_ORDER[b]);
+  // A mark typed twice is rendered once, so it is dropped
+  return marks.filter((mark, index) => mark !== marks[index - 1]).join('');
+}
+
+/**
+ * Canonical form of a Thai string (other scripts pass through unchanged)
+ */
+export function normalizeThai(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  return (
+    text
+      .normalize('NFC')
+      .replace(INVISIBLE_CHARS, '')
+      // NIKHAHIT + SARA AA -> SARA AM, with a tone mark typed before or in between
+      .replace(/([\u0E48-\u0E4B]?)\u0E4D([\u0E48-\u0E4B]?)\u0E32/g, '$1$2\u0E33')
+      // SARA E typed twice -> SARA AE
+      .replace(/\u0E40\u0E40/g, '\u0E41')
+      .replace(MARK_RUN, reorderMarks)
+      // Thai digits -> Arabic digits
+      .replace(/[\u0E50-\u0E59]/g, (digit) => String(digit.charCodeAt(0) - 0x0e50))
+  );
+}
+
+/**
+ * Normalized, lower-cased and whitespace-collapsed form used to compare
+ * search queries with indexed text
+ */
+export function normalizeForSearch(text) {
+  return normalizeThai(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
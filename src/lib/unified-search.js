@@ -0,0 +1,133 @@
+/**
+ * Search across all datasets
+ * Queries the dictionary, encyclopedia, recipe library and cookbooks in
+ * parallel and returns one ranked result set, grouped by dataset. Every
+ * result has a short label and a stable reference plus the tool call that
+ * fetches the full record.
+ */
+
+import * as bookInfo from './book-info-logic.js';
+import * as dictionary from './dictionary-logic.js';
+import * as encyclopedia from './encyclopedia-logic.js';
+import * as library from './library-logic.js';
+import { parseQuery } from './query-language.js';
+
+const pick = (lang, de, en) => (lang === 'de' ? de || en : en || de);
+
+// Result types in the order they are listed when equally relevant
+const RESULT_TYPES = [
+  {
+    type: 'encyclopedia',
+    dataset: encyclopedia.DATASET,
+    findMatches: encyclopedia.findMatches,
+    queryFields: encyclopedia.QUERY_FIELDS,
+    describe: (entry, lang) => {
+      const transcription = pick(lang, entry.de?.transcription, entry.en?.transcription);
+      return {
+        label: transcription ? `${entry.thaiName} (${transcription})` : entry.thaiName,
+        ref: `encyclopedia:${entry.thaiName}`,
+        followUp: { tool: 'search_encyclopedia', arguments: { query: entry.thaiName, limit: 1 } },
+      };
+    },
+  },
+  {
+    type: 'dictionary',
+    dataset: dictionary.DATASET,
+    findMatches: dictionary.findMatches,
+    queryFields: dictionary.QUERY_FIELDS,
+    describe: (term, lang) => ({
+      label: `${term.thai} (${pick(lang, term.trans_de, term.trans_en)}): ${pick(lang, term.meaning_de, term.meaning_en)}`,
+      ref: `dictionary:${term.thai}`,
+      followUp: { tool: 'translate_thai_word', arguments: { word: term.thai } },
+    }),
+  },
+  {
+    type: 'recipe',
+    dataset: library.DATASET,
+    findMatches: library.findMatches,
+    queryFields: library.QUERY_FIELDS,
+    describe: (recipe, lang) => ({
+      label: `${pick(lang, recipe.title_de, recipe.title_en) || recipe.thai || recipe.recipe_key} (${recipe.cookbook})`,
+      ref: `recipe:${recipe.cookbook}/${recipe.recipe_key}`,
+      followUp: { tool: 'get_recipe', arguments: { cookbook: recipe.cookbook, recipe_key: recipe.recipe_key } },
+    }),
+  },
+  {
+    type: 'book',
+    dataset: bookInfo.DATASET,
+    findMatches: bookInfo.findMatches,
+    queryFields: bookInfo.QUERY_FIELDS,
+    describe: (book) => ({
+      label: book.author ? `${book.title} by ${book.author}` : book.title,
+      ref: book.isbn ? `book:${book.isbn}` : `book:${book.title}`,
+      followUp: book.isbn
+        ? { tool: 'get_cookbook_by_isbn', arguments: { isbn: String(book.isbn) } }
+        : { tool: 'search_cookbooks', arguments: { query: book.title } },
+    }),
+  },
+];
+
+/**
+ * Label, ref and followUp of a record, as in search results
+ * @param {'encyclopedia'|'dictionary'|'recipe'|'book'} type
+ * @param {object} record - Recipes need their cookbook and recipe_key
+ * @param {'de'|'en'} [lang]
+ */
+export function describeRecord(type, record, lang = 'en') {
+  return RESULT_TYPES.find((resultType) => resultType.type === type).describe(record, lang);
+}
+
+/**
+ * Search all datasets at once
+ * @param {string} query - Search term or query (see query-language.js)
+ * @param {object} [options]
+ * @param {number} [options.limit] - Results per dataset (default 5)
+ * @param {'de'|'en'} [options.lang] - Language of the labels (default en)
+ * @returns {Promise<{query: string, total: number, groups: object[], errors: object}>}
+ *   Groups are sorted by their best result; a dataset that fails to load is
+ *   reported in errors instead of failing the whole search; a field of the
+ *   query that a dataset does not have is plain text there. Throws QueryParseError for invalid syntax.
+ */
+export async function searchEverything(query, { limit = 5, lang = 'en' } = {}) {
+  // Invalid syntax is an error of the query, not of every dataset
+  parseQuery(query, [...new Set(RESULT_TYPES.flatMap(({ queryFields }) => queryFields))]);
+
+  const settled = await Promise.allSettled(RESULT_TYPES.map(({ findMatches }) => findMatches(query)));
+
+  const groups = [];
+  const errors = {};
+  settled.forEach((outcome, position) => {
+    const { type, dataset, describe } = RESULT_TYPES[position];
+    if (outcome.status === 'rejected') {
+      errors[dataset] = outcome.reason.message;
+      return;
+    }
+    if (outcome.value.length === 0) {
+      return;
+    }
+
+    groups.push({
+      type,
+      total: outcome.value.length,
+      results: outcome.value.slice(0, limit).map(({ record, quality, matchedFields }) => ({
+        type,
+        ...describe(record, lang),
+        score: Math.round(quality * 100) / 100,
+        matchedFields,
+      })),
+    });
+  });
+
+  // Match quality is comparable across datasets, field scores are not.
+  // A limit below 1 leaves groups without results, which are not listed.
+  const listed = groups
+    .filter((group) => group.results.length > 0)
+    .sort((a, b) => b.results[0].score - a.results[0].score);
+
+  return {
+    query,
+    total: groups.reduce((sum, group) => sum + group.total, 0),
+    groups: listed,
+    errors,
+  };
+}
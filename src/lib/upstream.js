@@ -0,0 +1,122 @@
+/**
+ * HTTP access to the upstream dataset APIs
+ * Adds timeouts, retries with jittered exponential backoff and a circuit
+ * breaker per dataset around fetch()
+ */
+
+import { CircuitBreaker } from './circuit-breaker.js';
+import { config } from './config.js';
+import { UpstreamUnavailableError } from './errors.js';
+import { logDebug } from './logger.js';
+
+const breakers = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class HttpStatusError extends Error {
+  constructor(response) {
+    super(`HTTP ${response.status}: ${response.statusText}`);
+    this.status = response.status;
+  }
+}
+
+function getBreaker(dataset) {
+  if (!breakers.has(dataset)) {
+    breakers.set(dataset, new CircuitBreaker(dataset, config.circuitBreaker));
+  }
+  return breakers.get(dataset);
+}
+
+// Network errors, timeouts, rate limiting and server errors are worth another try
+function isRetryable(error) {
+  if (error instanceof HttpStatusError) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return true;
+}
+
+// Full jitter: a random delay between 0 and the exponential backoff
+function getBackoffDelay(attempt) {
+  const { retryBaseDelay, retryMaxDelay } = config.fetch;
+  return Math.random() * Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+}
+
+async function fetchWithTimeout(url, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.fetch.timeout);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    if (!response.ok) {
+      throw new HttpStatusError(response);
+    }
+
+    return {
+      // Reading the body is covered by the timeout as well
+      data: await response.json(),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+    };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`Request timed out after ${config.fetch.timeout}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchWithRetries(url, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchWithTimeout(url, options);
+    } catch (error) {
+      if (attempt >= config.fetch.retries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = getBackoffDelay(attempt);
+      logDebug(`Fetching ${url} failed (${error.message}), retry ${attempt + 1} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Fetch the JSON of a dataset, conditionally if validators are given.
+ * Resolves to { data, etag, lastModified } or { notModified: true }.
+ * Throws UpstreamUnavailableError without a request while the breaker is open.
+ */
+export async function fetchUpstream(dataset, url, { etag = null, lastModified = null } = {}) {
+  const headers = {};
+  if (etag) {
+    headers['If-None-Match'] = etag;
+  }
+  if (lastModified) {
+    headers['If-Modified-Since'] = lastModified;
+  }
+
+  let result;
+  try {
+    result = await getBreaker(dataset).execute(() => fetchWithRetries(url, { headers }));
+  } catch (error) {
+    if (error instanceof UpstreamUnavailableError) {
+      throw error;
+    }
+    throw new Error(`Fetching dataset "${dataset}" from ${url} failed: ${error.message}`);
+  }
+
+  if (result.notModified) {
+    return { notModified: true, etag, lastModified };
+  }
+  return result;
+}
+
+export function getCircuitBreakerStates() {
+  return Object.fromEntries(
+    Object.keys(config.datasets).map((dataset) => [dataset, getBreaker(dataset).getState()])
+  );
+}
@@ -0,0 +1,214 @@
+/**
+ * Resolve pasted URLs back to the records they belong to
+ * The logic modules turn relative site links into absolute URLs (encyclopedia
+ * entries and their recipe links, library recipes, images), point /reiskoch/
+ * links to der-reiskoch.de, /youtube/ links to YouTube, wrap Thai pages in
+ * Google Translate and book shop targets in Amazon short links. Every URL of
+ * every record is reduced to a canonical key, as is the pasted URL, so all
+ * these forms find the same record.
+ */
+
+import * as bookInfo from './book-info-logic.js';
+import * as encyclopedia from './encyclopedia-logic.js';
+import { NotFoundError } from './errors.js';
+import { findClosest } from './fuzzy-match.js';
+import * as library from './library-logic.js';
+import { describeRecord } from './unified-search.js';
+
+// Query parameters that do not change the page: the original translation
+// hint, Google Translate options and tracking
+const IGNORED_PARAMS = /^(trans|_x_tr_.*|utm_.*|fbclid|gclid)$/;
+
+const YOUTUBE_HOSTS = ['youtube.com', 'youtube-nocookie.com'];
+const YOUTUBE_PATH = /^\/(?:embed|shorts|live|v)\/([\w-]+)/;
+
+// Order of the matches: the record's own page first, links to it from other records last
+const FIELD_ORDER = ['url', 'url_de', 'url_en', 'imageUrl', 'image', 'recipes'];
+
+const stripHost = (hostname) => hostname.toLowerCase().replace(/^(www|m)\./, '');
+
+// The page inside a Google Translate link, in its proxy form
+// (translate.google.com/translate?u=...) or host form (www-example-com.translate.goog)
+function unwrapTranslation(url) {
+  const host = stripHost(url.hostname);
+  if (/^translate\.google\.[a-z.]+$/.test(host) && url.searchParams.has('u')) {
+    return new URL(url.searchParams.get('u'));
+  }
+  if (host.endsWith('.translate.goog')) {
+    // "-" stands for ".", "--" for "-"
+    const original = host
+      .slice(0, -'.translate.goog'.length)
+      .replace(/--/g, '\u0000')
+      .replace(/-/g, '.')
+      .replace(/\u0000/g, '-');
+    return new URL(`https://${original}${url.pathname}${url.search}`);
+  }
+  return url;
+}
+
+function getYouTubeId(url) {
+  const host = stripHost(url.hostname);
+  if (host === 'youtu.be') {
+    return url.pathname.slice(1).split('/')[0] || null;
+  }
+  if (YOUTUBE_HOSTS.includes(host)) {
+    return url.pathname === '/watch' ? url.searchParams.get('v') : url.pathname.match(YOUTUBE_PATH)?.[1] || null;
+  }
+  return null;
+}
+
+/**
+ * Canonical key of a URL: without scheme, "www.", trailing slash and the
+ * ignored parameters, Google Translate unwrapped, YouTube videos as
+ * "youtube:<id>". Site paths ("/rezepte/...", "/youtube/<id>") are resolved
+ * like the links in the data. Returns null if it is no URL.
+ */
+export function canonicalizeUrl(input) {
+  const link = String(input ?? '').trim();
+  let url;
+  try {
+    url = unwrapTranslation(new URL(link.startsWith('/') ? encyclopedia.transformRecipeLink(link) : link));
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return null;
+  }
+
+  const video = getYouTubeId(url);
+  if (video) {
+    return `youtube:${video}`;
+  }
+
+  for (const name of [...url.searchParams.keys()]) {
+    if (IGNORED_PARAMS.test(name)) {
+      url.searchParams.delete(name);
+    }
+  }
+  url.searchParams.sort();
+  let path;
+  try {
+    path = decodeURI(url.pathname);
+  } catch {
+    path = url.pathname;
+  }
+  const search = url.searchParams.toString();
+  return `${stripHost(url.hostname)}${path.replace(/\/+$/, '')}${search ? `?${search}` : ''}`;
+}
+
+// Every URL of every record: { key, url, type, field, language?, record }
+function collectUrls(encyclopediaData, libraryData, books) {
+  const urls = [];
+  const add = (value, match) => {
+    for (const url of Array.isArray(value) ? value : [value]) {
+      const key = typeof url === 'string' && url !== '' ? canonicalizeUrl(url) : null;
+      if (key) {
+        urls.push({ key, url, ...match });
+      }
+    }
+  };
+
+  for (const entry of encyclopediaData || []) {
+    add(entry.imageUrl, { type: 'encyclopedia', field: 'imageUrl', record: entry });
+    for (const language of ['de', 'en']) {
+      add(entry[language]?.url, { type: 'encyclopedia', field: 'url', language, record: entry });
+      add(entry[language]?.recipes, { type: 'encyclopedia', field: 'recipes', language, record: entry });
+    }
+  }
+
+  for (const [cookbook, recipes] of Object.entries(libraryData || {})) {
+    for (const [recipeKey, recipe] of Object.entries(recipes)) {
+      const record = { ...recipe, cookbook, recipe_key: recipeKey };
+      add(recipe.url_de, { type: 'recipe', field: 'url_de', language: 'de', record });
+      add(recipe.url_en, { type: 'recipe', field: 'url_en', language: 'en', record });
+      add(recipe.imageUrl, { type: 'recipe', field: 'imageUrl', record });
+    }
+  }
+
+  for (const book of books || []) {
+    add(book.url, { type: 'book', field: 'url', record: book });
+    if (/^https?:\/\//.test(book.image || '')) {
+      add(book.image, { type: 'book', field: 'image', record: book });
+    }
+  }
+
+  return urls;
+}
+
+// URL index of the currently loaded data, rebuilt when a dataset changes
+let cached = { sources: [], index: null, urls: [] };
+
+async function loadUrlIndex() {
+  const loads = [encyclopedia.fetchEncyclopedia(), library.fetchLibrary(), bookInfo.fetchBooks()];
+  const settled = await Promise.allSettled(loads);
+  const sources = settled.map((outcome) => (outcome.status === 'fulfilled' ? outcome.value : null));
+  const errors = Object.fromEntries(
+    settled
+      .map((outcome, position) => [[encyclopedia.DATASET, library.DATASET, bookInfo.DATASET][position], outcome])
+      .filter(([, outcome]) => outcome.status === 'rejected')
+      .map(([dataset, outcome]) => [dataset, outcome.reason.message])
+  );
+
+  if (sources.some((source, position) => source !== cached.sources[position])) {
+    const urls = collectUrls(...sources);
+    const index = new Map();
+    for (const match of urls) {
+      index.set(match.key, [...(index.get(match.key) || []), match]);
+    }
+    cached = { sources, index, urls };
+  }
+  return { ...cached, errors };
+}
+
+/**
+ * Encyclopedia entries, library recipes and books a URL belongs to
+ * @param {string} url - Any form of a link of the data (see canonicalizeUrl)
+ * @param {object} [options]
+ * @param {'de'|'en'} [options.lang] - Language of the labels (default en)
+ * @returns {Promise<object>} { url, canonical, matches, errors }; each match has the
+ *   type, the field holding the URL (url, url_de, url_en, imageUrl, image, or
+ *   recipes for a recipe link of an encyclopedia entry), its language, label,
+ *   ref, followUp and the record. Throws NotFoundError with the closest known
+ *   URLs if no record has the URL.
+ */
+export async function resolveUrl(url, { lang = 'en' } = {}) {
+  const canonical = canonicalizeUrl(url);
+  if (!canonical) {
+    throw new Error(`"${url}" is not an http(s) URL or site path.`);
+  }
+
+  const { index, urls, errors } = await loadUrlIndex();
+  const found = index.get(canonical) || [];
+
+  if (found.length === 0) {
+    const unavailable = Object.keys(errors);
+    throw new NotFoundError(
+      `No entry, recipe or book has the URL ${url}.` +
+        (unavailable.length > 0 ? ` Not checked, failed to load: ${unavailable.join(', ')}.` : ''),
+      {
+        argument: 'url',
+        value: url,
+        suggestions: findClosest(
+          canonical,
+          [...new Map(urls.map((match) => [match.key, match])).values()].map((match) => ({
+            value: match.url,
+            texts: [match.key],
+            label: describeRecord(match.type, match.record, lang).label,
+          }))
+        ),
+      }
+    );
+  }
+
+  const matches = [...found]
+    .sort((a, b) => FIELD_ORDER.indexOf(a.field) - FIELD_ORDER.indexOf(b.field))
+    .map(({ type, field, language, record }) => ({
+      type,
+      field,
+      ...(language && { language }),
+      ...describeRecord(type, record, lang),
+      record,
+    }));
+
+  return { url, canonical, matches, errors };
+}
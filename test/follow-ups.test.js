@@ -0,0 +1,126 @@
+/**
+ * The followUp of every search_everything / resolve_url result has to be a
+ * valid call of a tool of the HTTP server. Checked against the input schemas
+ * the server lists, with a server that has no data (offline, no snapshots).
+ */
+
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'net';
+import os from 'os';
+import path from 'path';
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { describeRecord } from '../src/lib/unified-search.js';
+
+const RECORDS = {
+  encyclopedia: { thaiName: 'ข้าวซอย', de: { transcription: 'Khao Soi' }, en: { transcription: 'Khao Soi' } },
+  dictionary: { thai: 'น้ำปลา', trans_de: 'Nam Pla', trans_en: 'nam pla', meaning_de: 'Fischsauce', meaning_en: 'fish sauce' },
+  recipe: { cookbook: 'bangkok_original_streetfood', recipe_key: '050 Khao Soi', title_de: 'Khao Soi' },
+  book: { title: 'Thai Street Food', author: 'David Thompson', isbn: '978-1-58008-284-6' },
+};
+const BOOK_WITHOUT_ISBN = { title: 'Thai Street Food', author: 'David Thompson' };
+
+const JSON_TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number',
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+};
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function waitForServer(url, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      if ((await fetch(url)).ok) {
+        return;
+      }
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start at ${url}`);
+}
+
+// Problems of a followUp against the JSON schema of its tool
+function checkArguments({ tool, arguments: args }, tools) {
+  const schema = tools.get(tool)?.inputSchema;
+  if (!schema) {
+    return [`unknown tool ${tool}`];
+  }
+  const properties = schema.properties || {};
+  return [
+    ...(schema.required || []).filter((name) => !(name in args)).map((name) => `${tool}: ${name} is required`),
+    ...Object.entries(args).flatMap(([name, value]) => {
+      const property = properties[name];
+      if (!property) {
+        return [`${tool}: unknown argument ${name}`];
+      }
+      const type = property.type;
+      if (type && !JSON_TYPES[type]?.(value)) {
+        return [`${tool}: ${name} must be a ${type}`];
+      }
+      if (property.minimum !== undefined && value < property.minimum) {
+        return [`${tool}: ${name} is below ${property.minimum}`];
+      }
+      return [];
+    }),
+  ];
+}
+
+let server;
+let client;
+let snapshotDir;
+let tools;
+
+before(async () => {
+  const port = await getFreePort();
+  snapshotDir = await mkdtemp(path.join(os.tmpdir(), 'ahaan-thai-test-'));
+  server = spawn(process.execPath, ['src/index.js'], {
+    cwd: path.resolve(import.meta.dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AHAAN_THAI_OFFLINE: '1',
+      AHAAN_THAI_DISK_CACHE: '0',
+      AHAAN_THAI_SNAPSHOT_DIR: snapshotDir,
+    },
+    stdio: 'ignore',
+  });
+  await waitForServer(`http://localhost:${port}/health`);
+
+  client = new Client({ name: 'follow-up-test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`http://localhost:${port}/mcp`)));
+  tools = new Map((await client.listTools()).tools.map((tool) => [tool.name, tool]));
+});
+
+after(async () => {
+  await client?.close();
+  server?.kill();
+  await rm(snapshotDir, { recursive: true, force: true });
+});
+
+for (const [type, record] of Object.entries(RECORDS)) {
+  test(`${type} followUp is a valid tool call`, () => {
+    for (const lang of ['de', 'en']) {
+      assert.deepEqual(checkArguments(describeRecord(type, record, lang).followUp, tools), []);
+    }
+  });
+}
+
+test('book followUp without ISBN is a valid tool call', () => {
+  assert.deepEqual(checkArguments(describeRecord('book', BOOK_WITHOUT_ISBN).followUp, tools), []);
+});
@@ -0,0 +1,70 @@
+/**
+ * Plain searches that contain query syntax characters keep matching as text
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueryParseError } from '../src/lib/errors.js';
+import { isPlainQuery, parseQuery, searchIndex } from '../src/lib/query-language.js';
+import { SearchIndex } from '../src/lib/search-index.js';
+
+const RECORDS = [
+  { title: 'Recipes on http://example.com', region: 'isaan' },
+  { title: 'Lunch at 12:30', region: 'central' },
+  { title: 'Nam Pla - Fish Sauce', region: 'central' },
+  { title: 'Note: very spicy', region: 'isaan' },
+];
+
+const OPTIONS = {
+  fields: {
+    title: { paths: ['title'] },
+    region: { match: (record, value) => record.region === value },
+  },
+};
+
+const index = new SearchIndex(RECORDS, [{ path: 'title', get: (record) => record.title }]);
+const search = (query) => searchIndex(index, query, OPTIONS).map(({ record }) => record.title);
+
+for (const query of ['http://example.com', '12:30', '-', 'nam - pla', 'note: spicy', 'word:']) {
+  test(`"${query}" is a plain query`, () => {
+    assert.equal(isPlainQuery(query, ['title', 'region']), true);
+    assert.doesNotThrow(() => search(query));
+  });
+}
+
+test('a URL matches as text', () => {
+  assert.deepEqual(search('http://example.com'), ['Recipes on http://example.com']);
+});
+
+test('a time matches as text', () => {
+  assert.deepEqual(search('12:30'), ['Lunch at 12:30']);
+});
+
+test('a prefix that is no field is text', () => {
+  assert.deepEqual(parseQuery('note:spicy', ['title']), {
+    type: 'term',
+    field: null,
+    value: 'note:spicy',
+    phrase: false,
+  });
+  assert.deepEqual(search('note: very'), ['Note: very spicy']);
+});
+
+test('a lone "-" does not restrict a query', () => {
+  assert.deepEqual(search('region:isaan -'), ['Recipes on http://example.com', 'Note: very spicy']);
+});
+
+test('known fields and "-" before a term are still syntax', () => {
+  assert.deepEqual(parseQuery('title:curry -pork', ['title']), {
+    type: 'and',
+    children: [
+      { type: 'term', field: 'title', value: 'curry', phrase: false },
+      { type: 'not', child: { type: 'term', field: null, value: 'pork', phrase: false } },
+    ],
+  });
+  assert.deepEqual(search('region:central -lunch'), ['Nam Pla - Fish Sauce']);
+});
+
+test('a known field without value is an error', () => {
+  assert.throws(() => parseQuery('title:', ['title']), QueryParseError);
+});
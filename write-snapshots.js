@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+/**
+ * Writes offline snapshots of all ahaan-thai.de datasets
+ * Usage: node write-snapshots.js [dataset ...]
+ */
+
+import { getDatasetNames } from './src/lib/config.js';
+import { createSnapshot, getSnapshotDir } from './src/lib/snapshot.js';
+
+const available = getDatasetNames();
+const requested = process.argv.slice(2);
+const unknown = requested.filter((dataset) => !available.includes(dataset));
+if (unknown.length > 0) {
+  console.error(`Unknown dataset(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+  process.exit(1);
+}
+
+const datasets = requested.length > 0 ? requested : available;
+let failed = 0;
+
+console.log(`Writing snapshots to ${getSnapshotDir()}`);
+for (const dataset of datasets) {
+  try {
+    const snapshot = await createSnapshot(dataset);
+    console.log(`✓ ${dataset}: ${snapshot.file}`);
+  } catch (error) {
+    failed++;
+    console.error(`✗ ${dataset}: ${error.message}`);
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);